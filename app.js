@@ -1,41 +1,321 @@
 const readline = require('readline');
 const fs = require('fs');
 const crypto = require('crypto');
+const path = require('path');
+const net = require('net');
 
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+// Терминал создается при первом вопросе, чтобы сетевой клиент мог сам читать stdin
+let rl = null;
+function terminal() { return rl || (rl = readline.createInterface({input: process.stdin, output: process.stdout})); }
+function closeTerminal() { if (rl) { rl.close(); rl = null; } }
+function ask(q, signal = null) { return new Promise(r => signal ? terminal().question(q, {signal}, r) : terminal().question(q, r)); }
 
-function ask(q) { return new Promise(r => rl.question(q, r)); }
+// Ход игры выводится всем подписчикам: консоли, сетевым клиентам; командный режим консоль отключает
+const consoleOutput = t => console.log(t);
+const gameOutput = new Set([consoleOutput]);
+function say(...a) { const t = a.join(' '); gameOutput.forEach(f => f(t)); }
 
 const GAME_CONFIG = Object.freeze({
-    CATEGORIES: ['города', 'животные', 'растения'],
+    CATEGORIES: ['cities', 'animals', 'plants'], // id категорий; названия - в каталогах сообщений (category.<id>)
     DIFFICULTY_LEVELS: ['easy', 'medium', 'hard'],
+    DIFFICULTY_SETTINGS: {
+        easy: {strategy: 'random', errorRate: 0.3},
+        medium: {strategy: 'trap', errorRate: 0.1},
+        hard: {strategy: 'lookahead', depth: 3, errorRate: 0}
+    },
+    BOT_RATINGS: {easy: 1000, medium: 1300, hard: 1600}, // рейтинг ботов не меняется
+    INITIAL_RATING: 1200,
+    RATING_K: 32,
+    // Значения по умолчанию (режим "Классика"); другие режимы задаются в Ruleset
     MIN_WORD_LENGTH: 2,
     MAX_WORDS_FOR_WIN: 5,
-    MAX_SKIPPED_TURNS: 2
+    MAX_SKIPPED_TURNS: 2, // ошибок до выбывания игрока
+    RULESET: 'classic',
+    MIN_PLAYERS: 2,
+    MAX_PLAYERS: 8,
+    SERVER_PORT: 7070,
+    NETWORK_WAIT: 300, // секунд ожидания сетевых игроков, 0 - без ограничения
+    MAX_LOGIN_ATTEMPTS: 5,
+    LOCKOUT_MINUTES: 15,
+    MIN_PASSWORD_LENGTH: 8,
+    SESSION_HOURS: 24,
+    BACKUP_COUNT: 3, // резервные копии <файл>.bak.1 (новейшая) ... .bak.N
+    LOCK_TIMEOUT: 5000, // мс ожидания блокировки <файл>.lock; более старая блокировка считается брошенной
+    SAVE_DIR: 'saves',
+    LEGACY_SAVE_FILE: 'game_save.json', // сохранение старого формата: при загрузке переносится в слоты пользователя
+    SAVE_COMMAND: '/save', // ввод вместо слова: сохранить игру и выйти в меню
+    TURN_TIME_LIMIT: 30, // секунд на ход человека, 0 - без ограничения
+    SPEED_BONUS: 2, // максимум очков за быстрый ответ, 0 - без бонуса
+    LANGUAGE: 'ru', // язык интерфейса и слов по умолчанию
+    LETTER_RULES: 'standard',
+    DICTIONARY_DIR: path.join(__dirname, 'dictionaries'),
+    LOCALE_DIR: path.join(__dirname, 'locales')
+});
+
+const PERMISSIONS = Object.freeze({
+    PLAY: 'game.play',
+    HOST_GAMES: 'game.host',
+    MANAGE_PLAYERS: 'players.manage',
+    VIEW_REPORTS: 'reports.view',
+    SAVE_GAMES: 'saves.write',
+    LOAD_GAMES: 'saves.load',
+    DELETE_SAVES: 'saves.delete',
+    VIEW_DICTIONARIES: 'dictionaries.view',
+    EDIT_DICTIONARIES: 'dictionaries.edit',
+    VIEW_OTHERS_STATS: 'stats.view_others',
+    MANAGE_USERS: 'users.manage',
+    MANAGE_RULESETS: 'rulesets.manage',
+    CHANGE_PASSWORD: 'account.password'
+});
+
+const PLAYER_PERMISSIONS = [PERMISSIONS.PLAY, PERMISSIONS.HOST_GAMES, PERMISSIONS.MANAGE_PLAYERS, PERMISSIONS.VIEW_REPORTS,
+    PERMISSIONS.SAVE_GAMES, PERMISSIONS.LOAD_GAMES, PERMISSIONS.VIEW_DICTIONARIES, PERMISSIONS.CHANGE_PASSWORD];
+
+const ROLES = Object.freeze({
+    player: Object.freeze(PLAYER_PERMISSIONS),
+    moderator: Object.freeze([...PLAYER_PERMISSIONS, PERMISSIONS.EDIT_DICTIONARIES, PERMISSIONS.VIEW_OTHERS_STATS, PERMISSIONS.DELETE_SAVES]),
+    admin: Object.freeze(Object.values(PERMISSIONS))
 });
 
 class Validator {
     static validateEmail(e) { return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e); }
-    static validateUsername(u) { return u && u.length >= 3 && /^[a-zA-Z0-9_]+$/.test(u); }
-    static validatePassword(p) { return p && p.length >= 4; }
-    static validateWord(w) { return w && w.trim().length >= GAME_CONFIG.MIN_WORD_LENGTH; }
+    // Буквы логина - из одной письменности: смесь вроде латинской "admin" с кириллической "а" выдает себя за чужой логин
+    static SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Hebrew', 'Arabic', 'Hangul']
+        .map(s => new RegExp(`\\p{Script=${s}}`, 'u')).concat(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u);
+    static normalizeUsername(u) { return String(u ?? '').normalize('NFC'); }
+    static validateUsername(u) {
+        if (!u || u.length < 3 || u !== Validator.normalizeUsername(u) || !/^[\p{L}\p{N}_]+$/u.test(u)) return false;
+        const scripts = new Set(Array.from(u).filter(ch => /\p{L}/u.test(ch)).map(ch => Validator.SCRIPTS.findIndex(re => re.test(ch))));
+        return scripts.size <= 1 && !scripts.has(-1);
+    }
+    static validatePassword(p) { return !!p && p.length >= GAME_CONFIG.MIN_PASSWORD_LENGTH && /\p{L}/u.test(p) && /\d/.test(p); }
+    static validateWord(w, min = GAME_CONFIG.MIN_WORD_LENGTH) { return !!w && w.trim().length >= min; }
 }
 
 class FileManager {
-    static saveToFile(f, d) {
-        try { fs.writeFileSync(f, JSON.stringify(d, null, 2)); return {success: true}; }
+    static saveToFile(f, d, backups = GAME_CONFIG.BACKUP_COUNT) {
+        try { FileManager.#writeAtomic(f, JSON.stringify(d, null, 2), backups); return {success: true}; }
         catch(e) { return {success: false, message: e.message}; }
     }
+    // missing: true - файла нет; иначе неудача означает, что файл поврежден или недоступен
     static loadFromFile(f) {
         try {
-            if (!fs.existsSync(f)) return {success: false, data: null};
+            if (!fs.existsSync(f)) return {success: false, data: null, missing: true, message: 'File not found'};
             return {success: true, data: JSON.parse(fs.readFileSync(f, 'utf8'))};
         } catch(e) { return {success: false, data: null, message: e.message}; }
     }
+    // Запись во временный файл и переименование: при сбое старый файл остается целым
+    static #writeAtomic(f, text, backups) {
+        const tmp = `${f}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(path.resolve(f)), {recursive: true});
+            const fd = fs.openSync(tmp, 'w');
+            try { fs.writeSync(fd, text); fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+            if (backups > 0 && fs.existsSync(f)) FileManager.#rotateBackups(f, backups);
+            fs.renameSync(tmp, f);
+        } catch(e) {
+            if (fs.existsSync(tmp)) fs.unlinkSync(tmp);
+            throw e;
+        }
+    }
+    static #rotateBackups(f, n) {
+        for (let i = n - 1; i >= 1; i--) if (fs.existsSync(`${f}.bak.${i}`)) fs.renameSync(`${f}.bak.${i}`, `${f}.bak.${i + 1}`);
+        fs.copyFileSync(f, `${f}.bak.1`);
+    }
+    // Блокировка между процессами: <файл>.lock создается атомарно (wx), брошенная упавшим процессом снимается по времени
+    static withLock(f, fn) {
+        const lock = `${f}.lock`, until = Date.now() + GAME_CONFIG.LOCK_TIMEOUT;
+        for (;;) {
+            try { fs.closeSync(fs.openSync(lock, 'wx')); break; }
+            catch(e) { if (e.code !== 'EEXIST') throw e; }
+            try { if (Date.now() - fs.statSync(lock).mtimeMs > GAME_CONFIG.LOCK_TIMEOUT) { fs.unlinkSync(lock); continue; } }
+            catch(e) { continue; }
+            if (Date.now() > until) throw new Error(`File is locked: ${lock}`);
+            Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 20);
+        }
+        try { return fn(); } finally { fs.rmSync(lock, {force: true}); }
+    }
     static fileExists(f) { return fs.existsSync(f); }
+    static renameFile(from, to) {
+        try { fs.renameSync(from, to); return {success: true}; }
+        catch(e) { return {success: false, message: e.message}; }
+    }
+    static deleteFile(f) {
+        try { if (fs.existsSync(f)) fs.unlinkSync(f); return {success: true}; }
+        catch(e) { return {success: false, message: e.message}; }
+    }
+    static loadText(f) {
+        try { return {success: true, data: fs.readFileSync(f, 'utf8')}; }
+        catch(e) { return {success: false, data: null, message: e.message}; }
+    }
+    static saveText(f, t, backups = 0) {
+        try { FileManager.#writeAtomic(f, t, backups); return {success: true}; }
+        catch(e) { return {success: false, message: e.message}; }
+    }
+    static listFiles(d) {
+        try { return fs.readdirSync(d); } catch(e) { return []; }
+    }
+}
+
+// Каталоги сообщений интерфейса: <LOCALE_DIR>/<язык>.json, ключ -> строка с подстановками {имя}.
+// Если ключа нет в выбранном языке, берется язык по умолчанию, затем сам ключ
+class I18n {
+    static #catalogs = new Map(); static #language = GAME_CONFIG.LANGUAGE;
+    static get language() { return I18n.#language; }
+    static get locale() { return I18n.t('locale'); }
+    static available() {
+        return FileManager.listFiles(GAME_CONFIG.LOCALE_DIR).filter(f => path.extname(f) === '.json').map(f => path.basename(f, '.json'));
+    }
+    static use(lang) {
+        if (!I18n.available().includes(lang)) return false;
+        I18n.#language = lang; return true;
+    }
+    static #catalog(lang) {
+        if (!I18n.#catalogs.has(lang)) {
+            const r = FileManager.loadFromFile(path.join(GAME_CONFIG.LOCALE_DIR, `${lang}.json`));
+            I18n.#catalogs.set(lang, r.success && r.data && typeof r.data === 'object' ? r.data : {});
+        }
+        return I18n.#catalogs.get(lang);
+    }
+    static has(key) { return key in I18n.#catalog(I18n.#language) || key in I18n.#catalog(GAME_CONFIG.LANGUAGE); }
+    static t(key, params = {}) {
+        const text = I18n.#catalog(I18n.#language)[key] ?? I18n.#catalog(GAME_CONFIG.LANGUAGE)[key] ?? key;
+        return String(text).replace(/\{(\w+)\}/g, (m, k) => params[k] ?? m);
+    }
+}
+const tr = (key, params) => I18n.t(key, params);
+
+// Версии форматов файлов. MIGRATIONS[kind][v] переводит данные версии v в v + 1;
+// файлы без поля version считаются версией 0
+class Schema {
+    static VERSIONS = Object.freeze({users: 2, save: 4, games: 2, rulesets: 1});
+    // Названия категорий и набора правил до перехода на id; старые данные всегда на русском
+    static LEGACY_IDS = Object.freeze({'города': 'cities', 'животные': 'animals', 'растения': 'plants', 'russian': 'standard'});
+    static legacyId(v) { return Schema.LEGACY_IDS[v] || v; }
+    static MIGRATIONS = Object.freeze({
+        users: [
+            d => ({
+                users: (d.users || []).map(([u, user]) => [u, {...user, role: ROLES[user.role] ? user.role : 'player'}]),
+                userStats: (d.userStats || []).map(([u, s]) => [u, {
+                    gamesPlayed: s.gamesPlayed || 0, totalScore: s.totalScore || 0,
+                    wins: s.wins || 0, bestScore: s.bestScore || 0,
+                    wordsUsed: s.wordsUsed || [], categories: s.categories || {}
+                }])
+            }),
+            d => ({
+                users: d.users.map(([u, user]) => [u, {language: 'ru', ...user}]),
+                userStats: d.userStats.map(([u, s]) => [u, {...s,
+                    categories: Object.fromEntries(Object.entries(s.categories || {}).map(([c, n]) => [Schema.legacyId(c), n]))}])
+            })
+        ],
+        save: [
+            d => { const {currentUser, ...rest} = d; return rest; },
+            d => ({...d, ruleset: d.ruleset || Ruleset.PRESETS[0]}),
+            d => ({owner: '', savedAt: '', difficulty: 'medium', moves: [], startedAt: null, turn: {index: 0, round: 1, strikes: {}}, ...d}),
+            d => ({language: 'ru', ...d, currentCategory: Schema.legacyId(d.currentCategory), letterRules: Schema.legacyId(d.letterRules)})
+        ],
+        games: [
+            d => ({games: d.games || []}),
+            d => ({games: d.games.map(g => ({language: 'ru', ...g, category: Schema.legacyId(g.category), letterRules: Schema.legacyId(g.letterRules)}))})
+        ],
+        rulesets: [
+            d => ({rulesets: d.rulesets || []})
+        ]
+    });
+    static VALIDATORS = Object.freeze({
+        users: d => {
+            if (!Array.isArray(d.users) || !Array.isArray(d.userStats)) return tr('data.usersLists');
+            const bad = d.users.find(e => !Array.isArray(e) || typeof e[0] !== 'string' || !e[1] || typeof e[1].passwordHash !== 'string');
+            return bad ? tr('data.badUser', {entry: JSON.stringify(bad).slice(0, 60)}) : '';
+        },
+        save: d => {
+            if (!Array.isArray(d.players)) return tr('data.noPlayers');
+            if (d.players.some(p => !p || typeof p.name !== 'string')) return tr('data.badPlayer');
+            if (d.usedWords !== undefined && !Array.isArray(d.usedWords)) return tr('data.notArray', {field: 'usedWords'});
+            const t = d.turn;
+            if (t !== undefined && !(t && Number.isInteger(t.index) && Number.isInteger(t.round) && t.strikes && typeof t.strikes === 'object')) return tr('data.badTurn');
+            if (t !== undefined && d.players.length > 0 && (t.index < 0 || t.index >= d.players.length)) return tr('data.turnIndex');
+            if (d.moves !== undefined && !Array.isArray(d.moves)) return tr('data.notArray', {field: 'moves'});
+            return d.ruleset === undefined ? '' : Ruleset.validate(d.ruleset);
+        },
+        games: d => Array.isArray(d.games) ? '' : tr('data.noList', {field: 'games'}),
+        rulesets: d => !Array.isArray(d.rulesets) ? tr('data.noList', {field: 'rulesets'}) : d.rulesets.map(r => Ruleset.validate(r)).find(Boolean) || ''
+    });
+    static migrate(kind, data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(tr('data.notObject'));
+        const target = Schema.VERSIONS[kind];
+        let v = Number.isInteger(data.version) ? data.version : 0;
+        if (v > target) throw new Error(tr('data.newerVersion', {version: v, target}));
+        while (v < target) { data = Schema.MIGRATIONS[kind][v](data); data.version = ++v; }
+        return data;
+    }
+    static validate(kind, data) { return Schema.VALIDATORS[kind](data); }
+    // Как FileManager.loadFromFile, но с миграцией и проверкой содержимого
+    static load(kind, f) {
+        const r = FileManager.loadFromFile(f);
+        if (!r.success) return r.missing ? r : {...r, message: `${f}: ${r.message}`};
+        try {
+            const data = Schema.migrate(kind, r.data);
+            const err = Schema.validate(kind, data);
+            return err ? {success: false, data: null, message: `${f}: ${err}`} : {success: true, data};
+        } catch(e) { return {success: false, data: null, message: `${f}: ${e.message}`}; }
+    }
+    static save(kind, f, data, backups = GAME_CONFIG.BACKUP_COUNT) {
+        return FileManager.saveToFile(f, {version: Schema.VERSIONS[kind], ...data}, backups);
+    }
+}
+
+// Словари: <DICTIONARY_DIR>/<язык>/<категория>.txt (слово на строку, # - комментарий) или .json (массив либо {words: [...]})
+class Dictionary {
+    #lang; #dir; #categories = new Map();
+    constructor(lang = GAME_CONFIG.LANGUAGE, dir = GAME_CONFIG.DICTIONARY_DIR) { this.#lang = lang; this.#dir = dir; this.load(); }
+    get language() { return this.#lang; }
+    // Название категории на языке интерфейса; для категорий без перевода - сам id
+    static title(cat) { return I18n.has(`category.${cat}`) ? tr(`category.${cat}`) : cat; }
+    static normalize(w) { return (w || '').trim().toLowerCase().replace(/ё/g, 'е'); }
+    load() {
+        this.#categories.clear();
+        const d = path.join(this.#dir, this.#lang);
+        FileManager.listFiles(d).forEach(f => {
+            const ext = path.extname(f);
+            if (ext !== '.txt' && ext !== '.json') return;
+            const r = FileManager.loadText(path.join(d, f));
+            if (!r.success) return;
+            let list;
+            if (ext === '.json') {
+                try { const j = JSON.parse(r.data); list = Array.isArray(j) ? j : (j.words || []); }
+                catch(e) { console.log(tr('dict.loadError', {file: f, message: e.message})); return; }
+            } else list = r.data.split(/\r?\n/).filter(l => !l.trim().startsWith('#'));
+            const words = new Map();
+            list.map(w => String(w).trim()).filter(Boolean).forEach(w => words.set(Dictionary.normalize(w), w));
+            this.#categories.set(path.basename(f, ext), {file: path.join(d, f), words});
+        });
+    }
+    getCategories() { return Array.from(this.#categories.keys()); }
+    getWords(cat) { const c = this.#categories.get(cat); return c ? Array.from(c.words.values()) : []; }
+    has(cat, w) { const c = this.#categories.get(cat); return !!c && c.words.has(Dictionary.normalize(w)); }
+    addWord(cat, w) {
+        if (!Validator.validateWord(w)) return {success: false, message: tr('dict.tooShort')};
+        if (!Alphabet.get(this.#lang).accepts(w)) return {success: false, message: tr('dict.alphabet', {language: tr(`language.${this.#lang}`)})};
+        let c = this.#categories.get(cat);
+        if (!c) { c = {file: path.join(this.#dir, this.#lang, `${cat}.txt`), words: new Map()}; this.#categories.set(cat, c); }
+        const k = Dictionary.normalize(w);
+        if (c.words.has(k)) return {success: false, message: tr('dict.exists')};
+        c.words.set(k, w.trim());
+        return this.#save(c);
+    }
+    removeWord(cat, w) {
+        const c = this.#categories.get(cat);
+        if (!c || !c.words.delete(Dictionary.normalize(w))) return {success: false, message: tr('dict.missing')};
+        return this.#save(c);
+    }
+    #save(c) {
+        const words = Array.from(c.words.values()).sort((a,b) => a.localeCompare(b, this.#lang));
+        const r = path.extname(c.file) === '.json'
+            ? FileManager.saveText(c.file, JSON.stringify(words, null, 2))
+            : FileManager.saveText(c.file, words.join('\n') + '\n');
+        return r.success ? {success: true, message: tr('dict.updated')} : r;
+    }
 }
 
 class Serializable {
@@ -45,34 +325,440 @@ class Serializable {
     static deepClone(obj) { return JSON.parse(JSON.stringify(obj)); }
 }
 
+// Алфавит языка слов: буквы, буквы, пропускаемые в конце слова (skip), равнозначные (equivalent) и редкие (rare)
+class Alphabet {
+    static SEPARATORS = new Set(['-', ' ', "'"]);
+    static #registry = new Map();
+    static register(a) { Alphabet.#registry.set(a.code, a); return a; }
+    static get(code) { return Alphabet.#registry.get(code) || Alphabet.#registry.get(GAME_CONFIG.LANGUAGE); }
+    static list() { return Array.from(Alphabet.#registry.values()); }
+    #code; #letters; #skip; #equivalent; #rare;
+    constructor(code, letters, {skip = '', equivalent = {}, rare = ''} = {}) {
+        this.#code = code; this.#letters = new Set(letters); this.#skip = new Set(skip);
+        this.#equivalent = Object.freeze({...equivalent}); this.#rare = new Set(rare);
+    }
+    get code() { return this.#code; } get skip() { return this.#skip; }
+    get equivalent() { return this.#equivalent; } get rare() { return this.#rare; }
+    has(ch) { return this.#letters.has(ch); }
+    letter(ch) { return this.#equivalent[ch] || ch; }
+    // Слово из букв алфавита; дефис, пробел и апостроф допустимы только между буквами
+    accepts(w) {
+        const chars = Array.from((w || '').trim().toLowerCase());
+        return chars.length > 0 && this.has(chars[0]) && this.has(chars[chars.length-1])
+            && chars.every(ch => this.has(ch) || Alphabet.SEPARATORS.has(ch));
+    }
+}
+
+Alphabet.register(new Alphabet('ru', 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя',
+    {skip: 'ьъы', equivalent: {'ё': 'е', 'й': 'и'}, rare: 'жйфхцчшщъэю'}));
+Alphabet.register(new Alphabet('en', 'abcdefghijklmnopqrstuvwxyz', {rare: 'jkqvxz'}));
+
+// Правила цепочки: какой буквой должно начинаться следующее слово. Наборы регистрируются классами,
+// экземпляр создается для алфавита языка игры
+class LetterRules {
+    static #registry = new Map();
+    static register(Cls) { LetterRules.#registry.set(Cls.NAME, Cls); return Cls; }
+    static get(n, alphabet = Alphabet.get()) {
+        const Cls = LetterRules.#registry.get(n) || LetterRules.#registry.get(GAME_CONFIG.LETTER_RULES);
+        return new Cls(alphabet);
+    }
+    static list(alphabet = Alphabet.get()) { return Array.from(LetterRules.#registry.values(), Cls => new Cls(alphabet)); }
+    #alphabet;
+    constructor(alphabet = Alphabet.get()) {
+        if (this.constructor === LetterRules) throw new Error("Abstract class");
+        this.#alphabet = alphabet;
+    }
+    get alphabet() { return this.#alphabet; }
+    get name() { return this.constructor.NAME; }
+    get title() { return tr(`rules.${this.name}`); }
+    normalize(ch) { return ch; }
+    firstLetter(w) { const lw = (w || '').trim().toLowerCase(); return lw ? this.normalize(lw[0]) : ''; }
+    nextLetter(w) { const lw = (w || '').trim().toLowerCase(); return lw ? this.normalize(lw[lw.length-1]) : ''; }
+    matches(w, prev) { return !prev || this.firstLetter(w) === this.nextLetter(prev); }
+    hint(letter) { return tr('chain.startsWith', {letter: letter.toUpperCase()}); }
+}
+
+class StrictLetterRules extends LetterRules {
+    static NAME = 'strict';
+}
+
+// Пропускает в конце слова буквы skip алфавита и приравнивает буквы equivalent (для русского: ь/ъ/ы, ё=е, й=и)
+class StandardLetterRules extends LetterRules {
+    static NAME = 'standard';
+    get title() {
+        const a = this.alphabet;
+        const details = [a.skip.size ? tr('rules.skip', {letters: [...a.skip].join('/')}) : '',
+            ...Object.entries(a.equivalent).map(([k, v]) => `${k}=${v}`)].filter(Boolean);
+        return tr('rules.standard') + (details.length ? ` (${details.join(', ')})` : '');
+    }
+    normalize(ch) { return this.alphabet.letter(ch); }
+    nextLetter(w) {
+        const letters = Array.from((w || '').trim().toLowerCase()).filter(ch => this.alphabet.has(ch));
+        const ch = [...letters].reverse().find(c => !this.alphabet.skip.has(c)) || letters[letters.length-1] || '';
+        return this.normalize(ch);
+    }
+}
+
+LetterRules.register(StandardLetterRules);
+LetterRules.register(StrictLetterRules);
+
+// Обратная цепочка: слово должно оканчиваться на первую букву предыдущего (не регистрируется, оборачивает набор)
+class ReverseLetterRules extends LetterRules {
+    #base;
+    constructor(base) { super(base.alphabet); this.#base = base; }
+    get name() { return `reverse-${this.#base.name}`; }
+    get title() { return tr('rules.reverse', {base: this.#base.title}); }
+    firstLetter(w) { return this.#base.nextLetter(w); }
+    nextLetter(w) { return this.#base.firstLetter(w); }
+    hint(letter) { return tr('chain.endsWith', {letter: letter.toUpperCase()}); }
+}
+
+// Режимы игры: условия победы, лимит ошибок, длина слова, подсчет очков и направление цепочки.
+// Функции очков хранятся по имени, чтобы режим можно было сохранить в JSON; названия - scoring.<имя> в каталогах
+class Ruleset {
+    static SCORING = Object.freeze({
+        standard: w => Math.min(Math.floor(w.length / 2), 3),
+        length: w => w.length,
+        flat: () => 1,
+        rareLetters: (w, a) => Ruleset.SCORING.standard(w) + 2 * Array.from(w.toLowerCase()).filter(c => a.rare.has(c)).length
+    });
+    static CHAINS = Object.freeze(['forward', 'reverse']);
+    // maxWords = 0 - без лимита слов: игра идет, пока не останется один игрок.
+    // У встроенных режимов нет title: название берется из каталога (ruleset.<id>)
+    static PRESETS = Object.freeze([
+        {id: 'classic', maxWords: GAME_CONFIG.MAX_WORDS_FOR_WIN, maxStrikes: GAME_CONFIG.MAX_SKIPPED_TURNS, minLength: GAME_CONFIG.MIN_WORD_LENGTH, scoring: 'standard', chain: 'forward'},
+        {id: 'survival', maxWords: 0, maxStrikes: 1, minLength: GAME_CONFIG.MIN_WORD_LENGTH, scoring: 'flat', chain: 'forward'},
+        {id: 'rare', maxWords: 7, maxStrikes: 2, minLength: 3, scoring: 'rareLetters', chain: 'forward'},
+        {id: 'reverse', maxWords: 5, maxStrikes: 2, minLength: GAME_CONFIG.MIN_WORD_LENGTH, scoring: 'standard', chain: 'reverse'}
+    ].map(r => Object.freeze(r)));
+    static validate(r) {
+        if (!r || typeof r !== 'object') return tr('rulesets.error.object');
+        if (typeof r.id !== 'string' || !/^[a-z0-9_-]+$/.test(r.id)) return tr('rulesets.error.id');
+        if (!Number.isInteger(r.maxWords) || r.maxWords < 0) return tr('rulesets.error.integer', {field: 'maxWords', min: 0});
+        if (!Number.isInteger(r.maxStrikes) || r.maxStrikes < 1) return tr('rulesets.error.integer', {field: 'maxStrikes', min: 1});
+        if (!Number.isInteger(r.minLength) || r.minLength < 1) return tr('rulesets.error.integer', {field: 'minLength', min: 1});
+        if (!Ruleset.SCORING[r.scoring]) return tr('rulesets.error.scoring', {scoring: r.scoring});
+        if (!Ruleset.CHAINS.includes(r.chain)) return tr('rulesets.error.chain', {chain: r.chain});
+        return '';
+    }
+    static title(r) { return r.title || tr(`ruleset.${r.id}`); }
+    static score(r, w, alphabet = Alphabet.get()) { return Ruleset.SCORING[r.scoring](w, alphabet); }
+    static letterRules(r, base) { return r.chain === 'reverse' ? new ReverseLetterRules(base) : base; }
+}
+
+// Пользовательские режимы (rulesets.json); встроенные режимы изменить нельзя
+class RulesetStore {
+    #file; #custom = [];
+    constructor(file = 'rulesets.json') {
+        this.#file = file;
+        const r = Schema.load('rulesets', file);
+        if (!r.success && !r.missing) throw new Error(tr('data.corrupt', {message: r.message, file}));
+        this.#custom = r.success ? r.data.rulesets : [];
+    }
+    list() { return [...Ruleset.PRESETS, ...this.#custom]; }
+    get(id = GAME_CONFIG.RULESET) { return this.list().find(r => r.id === id) || null; }
+    add(r) {
+        const err = Ruleset.validate(r);
+        if (err) return {success: false, message: err};
+        if (this.get(r.id)) return {success: false, message: tr('rulesets.exists')};
+        this.#custom.push(r);
+        return this.#save(tr('rulesets.saved'));
+    }
+    remove(id) {
+        if (Ruleset.PRESETS.some(r => r.id === id)) return {success: false, message: tr('rulesets.builtIn')};
+        const n = this.#custom.length;
+        this.#custom = this.#custom.filter(r => r.id !== id);
+        return n === this.#custom.length ? {success: false, message: tr('rulesets.notFound')} : this.#save(tr('rulesets.removed'));
+    }
+    #save(message) {
+        const r = Schema.save('rulesets', this.#file, {rulesets: this.#custom});
+        return r.success ? {success: true, message} : r;
+    }
+}
+
+// Детерминированный генератор (mulberry32), чтобы ходы компьютера воспроизводились по seed
+class SeededRandom {
+    #state; #seed;
+    // state - продолжить последовательность с сохраненного места
+    constructor(seed = null, state = null) { this.#seed = seed ?? Math.floor(Math.random() * 2 ** 32); this.#state = (state ?? this.#seed) >>> 0; }
+    get seed() { return this.#seed; }
+    get state() { return this.#state; }
+    next() {
+        let t = this.#state = (this.#state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    int(n) { return Math.floor(this.next() * n); }
+    pick(arr) { return arr.length ? arr[this.int(arr.length)] : undefined; }
+}
+
+// Стратегии выбора слова компьютером; ctx = {words, usedWords, rules}
+class MoveStrategy {
+    static #registry = new Map();
+    static register(n, cls) { MoveStrategy.#registry.set(n, cls); return cls; }
+    static create(level, rng = new SeededRandom()) {
+        const cfg = GAME_CONFIG.DIFFICULTY_SETTINGS[level] || GAME_CONFIG.DIFFICULTY_SETTINGS.medium;
+        const Cls = MoveStrategy.#registry.get(cfg.strategy);
+        if (!Cls) throw new Error(`Unknown strategy: ${cfg.strategy}`);
+        return new Cls(rng, cfg);
+    }
+    #rng; #errorRate;
+    constructor(rng = new SeededRandom(), opts = {}) {
+        if (this.constructor === MoveStrategy) throw new Error("Abstract class");
+        this.#rng = rng; this.#errorRate = opts.errorRate || 0;
+    }
+    get rng() { return this.#rng; }
+    choose(candidates, ctx) {
+        if (candidates.length === 0) return null;
+        if (this.#errorRate > 0 && this.#rng.next() < this.#errorRate) return null;
+        return this.select(candidates, ctx);
+    }
+    select() { throw new Error("Implement select"); }
+    // Неиспользованные слова, которыми можно ответить на word; used хранит слова в виде Dictionary.normalize
+    static replies(word, ctx, used) {
+        return ctx.words.filter(w => !used.has(Dictionary.normalize(w)) && ctx.rules.matches(w, word));
+    }
+    pickBest(candidates, score) {
+        let best = -Infinity, top = [];
+        candidates.forEach(w => {
+            const v = score(w);
+            if (v > best) { best = v; top = [w]; } else if (v === best) top.push(w);
+        });
+        return this.#rng.pick(top);
+    }
+}
+
+class RandomStrategy extends MoveStrategy {
+    select(candidates) { return this.rng.pick(candidates); }
+}
+
+// Выбирает слово, после которого у соперника меньше всего вариантов
+class TrapLetterStrategy extends MoveStrategy {
+    select(candidates, ctx) {
+        return this.pickBest(candidates, w => {
+            const used = new Set(ctx.usedWords).add(Dictionary.normalize(w));
+            return -MoveStrategy.replies(w, ctx, used).length;
+        });
+    }
+}
+
+// Минимакс (negamax с отсечением) по оставшемуся словарю с ограничением глубины
+class LookaheadStrategy extends MoveStrategy {
+    #depth;
+    constructor(rng, opts = {}) { super(rng, opts); this.#depth = opts.depth || 2; }
+    select(candidates, ctx) {
+        return this.pickBest(candidates, w => this.#evaluate(w, ctx, new Set(ctx.usedWords).add(Dictionary.normalize(w)), this.#depth, -Infinity, Infinity));
+    }
+    // Оценка хода word для сделавшего его игрока: 1 - соперник без ответа, -1 - проигрыш
+    #evaluate(word, ctx, used, depth, alpha, beta) {
+        const replies = MoveStrategy.replies(word, ctx, used);
+        if (replies.length === 0) return 1;
+        if (depth <= 0) return -replies.length / (ctx.words.length + 1);
+        let best = -Infinity;
+        for (const r of replies) {
+            used.add(Dictionary.normalize(r));
+            const v = this.#evaluate(r, ctx, used, depth - 1, -beta, -alpha);
+            used.delete(Dictionary.normalize(r));
+            if (v > best) best = v;
+            if (best > alpha) alpha = best;
+            if (alpha >= beta) break;
+        }
+        return -best;
+    }
+}
+
+MoveStrategy.register('random', RandomStrategy);
+MoveStrategy.register('trap', TrapLetterStrategy);
+MoveStrategy.register('lookahead', LookaheadStrategy);
+
+// Ограничение времени хода; clock подменяется в тестах, чтобы не ждать реальные секунды
+class TurnTimer {
+    static SYSTEM_CLOCK = Object.freeze({
+        now: () => Date.now(),
+        setInterval: (f, ms) => setInterval(f, ms),
+        clearInterval: id => clearInterval(id),
+        sleep: ms => new Promise(r => setTimeout(r, ms))
+    });
+    #limit; #clock; #remaining = null;
+    constructor(limit = GAME_CONFIG.TURN_TIME_LIMIT, clock = TurnTimer.SYSTEM_CLOCK) { this.#limit = limit; this.#clock = clock; }
+    get limit() { return this.#limit; }
+    get remaining() { return this.#remaining; }
+    // start(signal) запускает ожидание ввода; по истечении времени signal прерывается
+    run(start, onTick = () => {}) {
+        const ac = new AbortController(), begin = this.#clock.now();
+        return new Promise((resolve, reject) => {
+            let done = false;
+            const finish = (value, timedOut) => {
+                if (done) return; done = true;
+                this.#clock.clearInterval(id);
+                this.#remaining = timedOut ? 0 : Math.max(0, this.#limit - (this.#clock.now() - begin) / 1000);
+                if (timedOut) ac.abort();
+                resolve({value, timedOut, remaining: this.#remaining});
+            };
+            const id = this.#clock.setInterval(() => {
+                const left = Math.ceil(this.#limit - (this.#clock.now() - begin) / 1000);
+                if (left <= 0) finish(null, true); else onTick(left);
+            }, 1000);
+            start(ac.signal).then(v => finish(v, false), e => { if (!done) { done = true; this.#clock.clearInterval(id); reject(e); } });
+        });
+    }
+    bonus(max = GAME_CONFIG.SPEED_BONUS) {
+        return this.#remaining === null || this.#limit <= 0 ? 0 : Math.floor(max * this.#remaining / this.#limit);
+    }
+}
+
+function showCountdown(left) {
+    if (left > 5 && left % 10 !== 0) return;
+    readline.clearLine(process.stdout, 0); readline.cursorTo(process.stdout, 0);
+    console.log(tr('countdown', {left})); terminal().prompt(true);
+}
+
 class UserManager {
     #users = new Map(); #userStats = new Map(); static currentSession = null;
+    static get PASSWORD_RULES() { return tr('account.passwordRules', {min: GAME_CONFIG.MIN_PASSWORD_LENGTH}); }
+    // Учетные записи, создаваемые при пустом users.json; их пароли нужно сменить при первом входе
+    static DEFAULT_ACCOUNTS = Object.freeze([
+        {username: 'admin', password: 'admin123', email: 'admin@system.com', role: 'admin'},
+        {username: 'user', password: 'user123', email: 'user@example.com', role: 'player'}
+    ]);
     constructor() { this.loadUsers(); }
-    #hashPassword(p) { return crypto.createHash('sha256').update(p).digest('hex'); }
-    registerUser(u, p, e = '', r = 'user') {
-        if (this.#users.has(u)) return {success: false, message: 'User exists'};
-        if (!Validator.validateUsername(u) || !Validator.validatePassword(p)) return {success: false, message: 'Invalid data'};
-        const hash = this.#hashPassword(p);
-        this.#users.set(u, {passwordHash: hash, email: e, role: r, regDate: new Date().toISOString()});
+    // Формат: scrypt$<соль>$<хеш>; старые записи - несоленый sha256 в hex
+    #hashPassword(p, salt = crypto.randomBytes(16).toString('hex')) {
+        return `scrypt$${salt}$${crypto.scryptSync(p, salt, 64).toString('hex')}`;
+    }
+    #verifyPassword(p, stored = '') {
+        const [kind, salt] = stored.split('$');
+        const actual = kind === 'scrypt' ? this.#hashPassword(p, salt) : crypto.createHash('sha256').update(p).digest('hex');
+        return actual.length === stored.length && crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(stored));
+    }
+    // Запись перечитывается из файла перед изменением, чтобы не затереть правки другого процесса
+    #fresh(u) { this.loadUsers(); return this.#users.get(u); }
+    #createUser(u, p, e, r, extra = {}) {
+        this.#users.set(u, {passwordHash: this.#hashPassword(p), email: e, role: r, language: GAME_CONFIG.LANGUAGE, regDate: new Date().toISOString(), ...extra});
         this.#userStats.set(u, {gamesPlayed: 0, totalScore: 0, wins: 0, bestScore: 0, wordsUsed: [], categories: {}});
-        this.saveUsers();
-        return {success: true, message: 'Registered', user: {username: u, role: r, email: e}};
+    }
+    registerUser(u, p, e = '', r = 'player', language = GAME_CONFIG.LANGUAGE) {
+        u = Validator.normalizeUsername(u);
+        if (this.#fresh(u)) return {success: false, message: tr('account.exists')};
+        if (!Validator.validateUsername(u)) return {success: false, message: tr('account.invalidName')};
+        if (!Validator.validatePassword(p)) return {success: false, message: tr('account.weakPassword', {rules: UserManager.PASSWORD_RULES})};
+        if (!I18n.available().includes(language)) return {success: false, message: tr('account.unknownLanguage')};
+        this.#createUser(u, p, e, r, {language});
+        this.saveUsers(u);
+        return {success: true, message: tr('account.registered'), user: {username: u, role: r, email: e, language}};
+    }
+    authenticate(u, p) {
+        u = Validator.normalizeUsername(u);
+        const user = this.#fresh(u);
+        if (!user) return {success: false, message: tr('account.invalidLogin')};
+        if (user.lockedUntil && Date.parse(user.lockedUntil) > Date.now()) {
+            return {success: false, message: tr('account.locked', {date: UserManager.formatDate(user.lockedUntil)})};
+        }
+        delete user.lockedUntil;
+        if (!this.#verifyPassword(p, user.passwordHash)) {
+            user.failedLogins = (user.failedLogins || 0) + 1;
+            const locked = user.failedLogins >= GAME_CONFIG.MAX_LOGIN_ATTEMPTS;
+            if (locked) {
+                user.failedLogins = 0;
+                user.lockedUntil = new Date(Date.now() + GAME_CONFIG.LOCKOUT_MINUTES * 60000).toISOString();
+            }
+            this.saveUsers(u);
+            return {success: false, message: locked ? tr('account.tooManyAttempts', {minutes: GAME_CONFIG.LOCKOUT_MINUTES}) : tr('account.invalidLogin')};
+        }
+        // Старый sha256 переводится на scrypt; пароль по умолчанию из старого users.json тоже нужно сменить
+        if (!user.passwordHash.startsWith('scrypt$')) {
+            user.passwordHash = this.#hashPassword(p);
+            if (UserManager.DEFAULT_ACCOUNTS.some(a => a.password === p)) user.mustChangePassword = true;
+        }
+        user.failedLogins = 0; delete user.lockedUntil;
+        this.saveUsers(u);
+        return {success: true, message: tr('account.authenticated'), user: {username: u, role: user.role, email: user.email, language: user.language, mustChangePassword: !!user.mustChangePassword}};
+    }
+    changePassword(u, oldP, newP) {
+        const user = this.#fresh(u);
+        if (!user || !this.#verifyPassword(oldP, user.passwordHash)) return {success: false, message: tr('account.invalidPassword')};
+        if (oldP === newP) return {success: false, message: tr('account.samePassword')};
+        if (!Validator.validatePassword(newP)) return {success: false, message: tr('account.weakPassword', {rules: UserManager.PASSWORD_RULES})};
+        user.passwordHash = this.#hashPassword(newP); delete user.mustChangePassword;
+        this.saveUsers(u);
+        return {success: true, message: tr('account.passwordChanged')};
+    }
+    // Сброс администратором: пользователь обязан сменить временный пароль при входе
+    resetPassword(u, newP) {
+        const user = this.#fresh(u);
+        if (!user) return {success: false, message: tr('account.notFound')};
+        if (!Validator.validatePassword(newP)) return {success: false, message: tr('account.weakPassword', {rules: UserManager.PASSWORD_RULES})};
+        user.passwordHash = this.#hashPassword(newP); user.mustChangePassword = true;
+        user.failedLogins = 0; delete user.lockedUntil;
+        this.saveUsers(u);
+        return {success: true, message: tr('account.passwordReset')};
     }
     loginUser(u, p) {
-        const user = this.#users.get(u);
-        if (!user || user.passwordHash !== this.#hashPassword(p)) return {success: false, message: 'Invalid login'};
-        UserManager.currentSession = {username: u, role: user.role, email: user.email};
-        return {success: true, message: 'Logged in', user: UserManager.currentSession};
+        u = Validator.normalizeUsername(u);
+        const r = this.authenticate(u, p);
+        if (!r.success) return r;
+        this.#startSession(u);
+        return {success: true, message: tr('account.loggedIn'), user: {...UserManager.currentSession, mustChangePassword: r.user.mustChangePassword}};
+    }
+    // Сессия переживает перезапуск: токен лежит в session.json, у пользователя хранится только его хеш
+    #startSession(u) {
+        const user = this.#users.get(u), token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + GAME_CONFIG.SESSION_HOURS * 3600000).toISOString();
+        user.session = {tokenHash: crypto.createHash('sha256').update(token).digest('hex'), expiresAt};
+        this.saveUsers(u);
+        FileManager.saveToFile('session.json', {username: u, token}, 0);
+        UserManager.currentSession = {username: u, role: user.role, email: user.email, language: user.language};
+    }
+    restoreSession() {
+        const r = FileManager.loadFromFile('session.json');
+        const user = r.success && r.data ? this.#users.get(r.data.username) : null;
+        const hash = r.success && r.data ? crypto.createHash('sha256').update(String(r.data.token)).digest('hex') : '';
+        if (!user || !user.session || user.session.tokenHash !== hash || Date.parse(user.session.expiresAt) <= Date.now() || user.mustChangePassword) {
+            FileManager.deleteFile('session.json');
+            return {success: false, message: tr('account.noSession')};
+        }
+        UserManager.currentSession = {username: r.data.username, role: user.role, email: user.email, language: user.language};
+        return {success: true, message: tr('account.sessionRestored'), user: UserManager.currentSession};
+    }
+    logout() {
+        const s = UserManager.currentSession, user = s && this.#fresh(s.username);
+        if (user) { delete user.session; this.saveUsers(s.username); }
+        FileManager.deleteFile('session.json');
+        UserManager.currentSession = null;
+    }
+    // Роль читается из учетной записи при каждой проверке, поэтому смена роли действует сразу
+    can(perm, u = UserManager.currentSession && UserManager.currentSession.username) {
+        const user = u && this.#users.get(u);
+        return !!user && (ROLES[user.role] || []).includes(perm);
+    }
+    setRole(u, r) {
+        const user = this.#fresh(u);
+        if (!user) return {success: false, message: tr('account.notFound')};
+        if (!ROLES[r]) return {success: false, message: tr('account.unknownRole')};
+        user.role = r; this.saveUsers(u);
+        if (UserManager.currentSession && UserManager.currentSession.username === u) UserManager.currentSession.role = r;
+        return {success: true, message: tr('account.roleUpdated')};
+    }
+    // Язык интерфейса из профиля; применяется при входе
+    setLanguage(u, lang) {
+        const user = this.#fresh(u);
+        if (!user) return {success: false, message: tr('account.notFound')};
+        if (!I18n.available().includes(lang)) return {success: false, message: tr('account.unknownLanguage')};
+        user.language = lang; this.saveUsers(u);
+        if (UserManager.currentSession && UserManager.currentSession.username === u) UserManager.currentSession.language = lang;
+        return {success: true, message: tr('account.languageUpdated')};
     }
     updateUserStats(u, s, win = false, word = '', cat = '') {
+        this.loadUsers();
         let stats = this.#userStats.get(u) || {gamesPlayed: 0, totalScore: 0, wins: 0, bestScore: 0, wordsUsed: [], categories: {}};
         if (!stats.wordsUsed) stats.wordsUsed = [];
         if (!stats.categories) stats.categories = {};
         stats.gamesPlayed++; stats.totalScore += s;
         if (win) stats.wins++; if (s > stats.bestScore) stats.bestScore = s;
-        if (word) stats.wordsUsed.push(word);
+        [].concat(word).filter(Boolean).forEach(w => stats.wordsUsed.push(w));
         if (cat) stats.categories[cat] = (stats.categories[cat] || 0) + 1;
-        this.#userStats.set(u, stats); this.saveUsers();
+        this.#userStats.set(u, stats); this.saveUsers(u);
     }
     getUserStats(u) {
         const stats = this.#userStats.get(u);
@@ -80,45 +766,189 @@ class UserManager {
     }
     getAllUsers() {
         return Array.from(this.#users.entries()).map(([u, d]) => ({
-            username: u, role: d.role, email: d.email, registrationDate: d.regDate, stats: this.getUserStats(u)
+            username: u, role: d.role, email: d.email, language: d.language, registrationDate: d.regDate, stats: this.getUserStats(u)
         }));
     }
     deleteUser(u) {
+        this.loadUsers();
         const deleted = this.#users.delete(u) && this.#userStats.delete(u);
-        if (deleted) this.saveUsers(); return deleted;
+        if (deleted) this.saveUsers(u); return deleted;
     }
     searchUsers(t) {
         return this.getAllUsers().filter(u => u.username.includes(t) || u.email.includes(t));
     }
-    saveUsers() {
-        FileManager.saveToFile('users.json', {
-            users: Array.from(this.#users.entries()),
-            userStats: Array.from(this.#userStats.entries())
+    // users.json может изменить другой процесс (например, CLI user add во время игры), поэтому файл перечитывается
+    // перед записью и поверх него кладутся только записи changed; удаленные здесь пользователи удаляются из файла
+    saveUsers(...changed) {
+        FileManager.withLock('users.json', () => this.#merge(changed));
+    }
+    #merge(changed) {
+        const current = Schema.load('users', 'users.json');
+        if (!current.success && !current.missing) throw new Error(tr('data.corrupt', {message: current.message, file: 'users.json'}));
+        const users = new Map(current.success ? current.data.users : []), stats = new Map(current.success ? current.data.userStats : []);
+        changed.forEach(u => {
+            if (!this.#users.has(u)) { users.delete(u); stats.delete(u); return; }
+            users.set(u, this.#users.get(u));
+            if (this.#userStats.has(u)) stats.set(u, this.#userStats.get(u));
         });
+        this.#users = users; this.#userStats = stats;
+        const r = Schema.save('users', 'users.json', {
+            users: Array.from(users.entries()),
+            userStats: Array.from(stats.entries())
+        });
+        if (!r.success) throw new Error(tr('data.saveFailed', {file: 'users.json', message: r.message}));
     }
+    // Поврежденный файл не перезаписывается и не заменяется учетными записями по умолчанию
     loadUsers() {
-        const r = FileManager.loadFromFile('users.json');
-        if (r.success && r.data) {
-            this.#users = new Map(r.data.users || []);
-            this.#userStats = new Map();
-            (r.data.userStats || []).forEach(([u, s]) => {
-                this.#userStats.set(u, {
-                    gamesPlayed: s.gamesPlayed || 0, totalScore: s.totalScore || 0,
-                    wins: s.wins || 0, bestScore: s.bestScore || 0,
-                    wordsUsed: s.wordsUsed || [], categories: s.categories || {}
-                });
-            });
+        const r = Schema.load('users', 'users.json');
+        if (!r.success && !r.missing) throw new Error(tr('data.corrupt', {message: r.message, file: 'users.json'}));
+        if (r.success) {
+            this.#users = new Map(r.data.users);
+            this.#userStats = new Map(r.data.userStats);
         }
         if (this.#users.size === 0) {
-            this.registerUser('admin', 'admin123', 'admin@system.com', 'admin');
-            this.registerUser('user', 'user123', 'user@example.com', 'user');
+            UserManager.DEFAULT_ACCOUNTS.forEach(a => this.#createUser(a.username, a.password, a.email, a.role, {mustChangePassword: true}));
+            this.saveUsers(...UserManager.DEFAULT_ACCOUNTS.map(a => a.username));
         }
     }
     static isUserLoggedIn() { return UserManager.currentSession !== null; }
     static getCurrentUser() { return UserManager.currentSession; }
     static formatDate(d) {
         const date = new Date(d);
-        return date.toLocaleDateString('ru-RU', {year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit'});
+        return date.toLocaleDateString(I18n.locale, {year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit'});
+    }
+}
+
+// Журнал завершенных игр (games.json рядом с users.json) для истории и повторов
+class GameHistory {
+    #file; #games = [];
+    // file = null - журнал только в памяти (например, для симуляций)
+    constructor(file = 'games.json') { this.#file = file; this.load(); }
+    load() {
+        if (!this.#file) { this.#games = []; return; }
+        const r = Schema.load('games', this.#file);
+        if (!r.success && !r.missing) throw new Error(tr('data.corrupt', {message: r.message, file: this.#file}));
+        this.#games = r.success ? r.data.games : [];
+    }
+    save() { return this.#file ? Schema.save('games', this.#file, {games: this.#games}) : {success: true}; }
+    record(game) {
+        const g = {id: Player.generateId(), ...Serializable.deepClone(game)};
+        this.#games.push(g); this.save(); return g;
+    }
+    // username = null - все игры, иначе только с участием пользователя
+    list(username = null) {
+        return this.#games.filter(g => !username || g.players.some(p => p.username === username));
+    }
+    get(id) { return this.#games.find(g => g.id === id) || null; }
+}
+
+// Сохраненные игры: файл <id>.json на сохранение, owner - создавший его пользователь
+class SaveStore {
+    #dir;
+    constructor(dir = GAME_CONFIG.SAVE_DIR) { this.#dir = dir; }
+    file(id) { return path.join(this.#dir, `${id}.json`); }
+    // owner = null - сохранения всех пользователей; поврежденные файлы пропускаются
+    list(owner = null) {
+        return FileManager.listFiles(this.#dir).filter(f => f.endsWith('.json'))
+            .map(f => [f.slice(0, -5), Schema.load('save', path.join(this.#dir, f))])
+            .filter(([, r]) => r.success && (!owner || r.data.owner === owner))
+            .map(([id, r]) => SaveStore.describe(id, r.data))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+    static describe(id, d) {
+        return {
+            id, owner: d.owner, savedAt: d.savedAt, category: d.currentCategory || '', language: d.language, ruleset: d.ruleset.id,
+            active: !!d.isGameActive, round: d.turn.round, words: (d.usedWords || []).length,
+            players: d.players.map(p => ({name: p.name, score: p.score}))
+        };
+    }
+    // Повторное сохранение под тем же id возможно только для своего файла
+    save(data, owner, id = null) {
+        if (id && !this.load(id, owner).success) id = null;
+        // Неверное сохранение не записывается: list() его бы пропустил, и слот пропал бы вместе со старым содержимым
+        const err = Schema.validate('save', data);
+        if (err) return {success: false, message: tr('saves.invalid', {error: err})};
+        id = id || `${owner}-${Date.now().toString(36)}`;
+        const r = Schema.save('save', this.file(id), {...data, owner, savedAt: new Date().toISOString()});
+        return r.success ? {success: true, id} : r;
+    }
+    load(id, owner = null) {
+        const r = Schema.load('save', this.file(id));
+        if (r.success && owner && r.data.owner !== owner) return {success: false, data: null, message: tr('saves.foreign')};
+        return r;
+    }
+    // Одно общее сохранение старого формата становится слотом своего владельца; файл переименовывается в <файл>.imported,
+    // чтобы импорт не повторялся. Владелец - currentUser.username из самого файла (миграция это поле убирает),
+    // owner - только если поля нет; сохранение другого пользователя не трогается (foreign: true)
+    importLegacy(owner, file = GAME_CONFIG.LEGACY_SAVE_FILE) {
+        const raw = FileManager.loadFromFile(file);
+        const author = raw.success && raw.data && raw.data.currentUser && raw.data.currentUser.username;
+        if (author && author !== owner) return {success: false, foreign: true, message: tr('saves.foreign')};
+        const r = Schema.load('save', file);
+        if (!r.success) return r;
+        const s = this.save(r.data, owner);
+        if (!s.success) return s;
+        const m = FileManager.renameFile(file, `${file}.imported`);
+        return m.success ? s : m;
+    }
+    remove(id) {
+        const f = this.file(id);
+        for (let i = 1; i <= GAME_CONFIG.BACKUP_COUNT; i++) FileManager.deleteFile(`${f}.bak.${i}`);
+        return FileManager.deleteFile(f);
+    }
+}
+
+// Рейтинг Эло пересчитывается по истории игр, поэтому всегда с ней согласован.
+// В игре на N мест каждый зарегистрированный игрок сравнивается попарно со всеми остальными
+class Ratings {
+    static SORTS = Object.freeze({
+        rating: {value: r => Math.round(r.rating)},
+        wins: {value: r => r.wins},
+        bestScore: {value: r => r.bestScore},
+        winRate: {value: r => r.games ? Math.round(r.wins / r.games * 1000) / 10 : 0}
+    });
+    static emptyRow(u) { return {username: u, rating: GAME_CONFIG.INITIAL_RATING, games: 0, wins: 0, bestScore: 0}; }
+    // category = null - общий рейтинг, иначе только игры этой категории
+    static compute(games, category = null) {
+        const rows = new Map();
+        const row = u => { if (!rows.has(u)) rows.set(u, Ratings.emptyRow(u)); return rows.get(u); };
+        const rating = p => p.username ? row(p.username).rating
+            : p.type === 'ComputerPlayer' ? GAME_CONFIG.BOT_RATINGS[p.difficulty] ?? GAME_CONFIG.INITIAL_RATING : GAME_CONFIG.INITIAL_RATING;
+        games.filter(g => !category || g.category === category)
+            .sort((a,b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt))
+            .forEach(g => {
+                const before = new Map(g.players.map(p => [p.id, rating(p)]));
+                // Место по очкам среди не выбывших: равные очки - ничья между игроками
+                const place = p => [p.eliminated ? 1 : 0, -p.score];
+                const deltas = g.players.filter(p => p.username).map(p => {
+                    const sum = g.players.filter(o => o !== p).reduce((acc, o) => {
+                        const expected = 1 / (1 + 10 ** ((before.get(o.id) - before.get(p.id)) / 400));
+                        return acc + Ratings.#outcome(place(p), place(o)) - expected;
+                    }, 0);
+                    return [p, GAME_CONFIG.RATING_K * sum / Math.max(1, g.players.length - 1)];
+                });
+                deltas.forEach(([p, d]) => {
+                    const r = row(p.username);
+                    r.rating += d; r.games++;
+                    if (p.id === g.winner) r.wins++;
+                    if (p.score > r.bestScore) r.bestScore = p.score;
+                });
+            });
+        return rows;
+    }
+    static #outcome(a, b) {
+        const c = a[0] - b[0] || a[1] - b[1];
+        return c < 0 ? 1 : c > 0 ? 0 : 0.5;
+    }
+    // Одинаковые значения делят место (1, 2, 2, 4)
+    static leaderboard(rows, sort = 'rating') {
+        const value = (Ratings.SORTS[sort] || Ratings.SORTS.rating).value;
+        const sorted = [...rows].sort((a,b) => value(b) - value(a) || a.username.localeCompare(b.username));
+        let rank = 0;
+        return sorted.map((r, i) => {
+            if (i === 0 || value(sorted[i-1]) !== value(r)) rank = i + 1;
+            return {...r, rank};
+        });
     }
 }
 
@@ -126,7 +956,7 @@ class Player extends Serializable {
     #name; #score; #id;
     constructor(n, id = null) { super(); this.#name = n; this.#score = 0; this.#id = id || Player.generateId(); }
     get name() { return this.#name; } get score() { return this.#score; } get id() { return this.#id; }
-    addPoint(p = 1) { this.#score += p; console.log(`${this.#name} +${p} (${this.#score})`); }
+    addPoint(p = 1) { this.#score += p; say(tr('game.points', {name: this.#name, points: p, score: this.#score})); }
     resetScore() { this.#score = 0; }
     async makeMove() { throw new Error("Implement makeMove"); }
     serialize() { return {name: this.#name, score: this.#score, id: this.#id, type: this.constructor.name}; }
@@ -136,46 +966,47 @@ class Player extends Serializable {
 }
 
 class ComputerPlayer extends Player {
-    #difficulty; #wordDatabase;
-    constructor(d = 'medium') {
-        super("Компьютер");
+    #difficulty; #dictionary; #strategy;
+    constructor(d = 'medium', dict = null, seed = null, n = tr('bot.name')) {
+        super(n);
         this.#difficulty = d;
-        this.#wordDatabase = {
-            'города': ['Москва', 'Амстердам', 'Мадрид', 'Лондон', 'Осло', 'Киев', 'Варшава', 'Рим', 'Париж', 'Берлин'],
-            'животные': ['Антилопа', 'Баран', 'Носорог', 'Гепард', 'Дельфин', 'Енот', 'Жираф', 'Зебра', 'Игуана', 'Кенгуру'],
-            'растения': ['Акация', 'Береза', 'Ромашка', 'Гвоздика', 'Дуб', 'Ель', 'Жасмин', 'Ирис', 'Кедр', 'Липа']
-        };
+        this.#dictionary = dict || new Dictionary();
+        this.#strategy = MoveStrategy.create(d, new SeededRandom(seed));
     }
+    get difficulty() { return this.#difficulty; }
+    get seed() { return this.#strategy.rng.seed; }
     async makeMove(s) {
-        console.log("\nХод компьютера..."); await new Promise(r => setTimeout(r, 800));
-        const words = (this.#wordDatabase[s.category] || []).filter(w => {
-            const lw = w.toLowerCase(); const llw = s.lastWord ? s.lastWord.toLowerCase() : '';
-            return !s.usedWords.has(lw) && (!s.lastWord || lw[0] === llw[llw.length - 1]);
-        });
-        if (words.length === 0) { console.log("Нет слов"); return null; }
-        let selected;
-        switch(this.#difficulty) {
-            case 'easy': selected = words[0]; break;
-            case 'hard': selected = words.reduce((a,b) => a.length > b.length ? a : b, words[0]); break;
-            default: selected = words[Math.floor(Math.random() * words.length)];
-        }
-        console.log(`Компьютер: ${selected}`); return selected;
+        say('\n' + tr('bot.thinking', {name: this.name})); await (s.sleep || TurnTimer.SYSTEM_CLOCK.sleep)(800);
+        const min = s.minLength || GAME_CONFIG.MIN_WORD_LENGTH, dict = s.dictionary || this.#dictionary;
+        const ctx = {words: dict.getWords(s.category).filter(w => w.length >= min), usedWords: s.usedWords, rules: s.rules || LetterRules.get()};
+        const words = ctx.words.filter(w => !s.usedWords.has(Dictionary.normalize(w)) && ctx.rules.matches(w, s.lastWord));
+        if (words.length === 0) { say(tr('bot.noWords')); return null; }
+        const selected = this.#strategy.choose(words, ctx);
+        if (!selected) { say(tr('bot.forgot', {name: this.name})); return null; }
+        say(`${this.name}: ${selected}`); return selected;
     }
-    serialize() { const d = super.serialize(); d.difficulty = this.#difficulty; return d; }
-    deserialize(d) { super.deserialize(d); this.#difficulty = d.difficulty || 'medium'; }
-    static initializeWordDatabase() {
-        return {
-            'города': ['Москва', 'Амстердам', 'Мадрид', 'Лондон', 'Осло', 'Киев', 'Варшава', 'Рим', 'Париж', 'Берлин'],
-            'животные': ['Антилопа', 'Баран', 'Носорог', 'Гепард', 'Дельфин', 'Енот', 'Жираф', 'Зебра', 'Игуана', 'Кенгуру'],
-            'растения': ['Акация', 'Береза', 'Ромашка', 'Гвоздика', 'Дуб', 'Ель', 'Жасмин', 'Ирис', 'Кедр', 'Липа']
-        };
+    serialize() { const d = super.serialize(); d.difficulty = this.#difficulty; d.seed = this.seed; d.rngState = this.#strategy.rng.state; return d; }
+    deserialize(d) {
+        super.deserialize(d); this.#difficulty = d.difficulty || 'medium';
+        this.#strategy = MoveStrategy.create(this.#difficulty, new SeededRandom(d.seed ?? null, d.rngState ?? null));
     }
 }
 
 class HumanPlayer extends Player {
     #email; #username;
     constructor(n, e = '', u = '') { super(n); this.#email = e; this.#username = u; }
-    async makeMove() { return (await ask(`\n${this.name}, слово: `)).trim(); }
+    async makeMove(s = {}) {
+        const rules = s.rules || LetterRules.get();
+        const letter = s.lastWord ? rules.nextLetter(s.lastWord) : '';
+        const q = '\n' + tr('turn.prompt', {name: this.name, hint: letter ? ` ${rules.hint(letter)}` : '',
+            limit: s.timer ? ` ${tr('seconds', {seconds: s.timer.limit})}` : ''});
+        if (!s.timer) return ((await this.readLine(q)) || '').trim();
+        const r = await s.timer.run(signal => this.readLine(q, signal), left => this.showCountdown(left));
+        if (r.timedOut) { say('\n' + tr('turn.timeout', {name: this.name})); return null; }
+        return (r.value || '').trim();
+    }
+    readLine(q, signal = null) { return ask(q, signal); }
+    showCountdown(left) { showCountdown(left); }
     get email() { return this.#email; } get username() { return this.#username; }
     updateProfile(e = '', u = '') {
         if (e && Validator.validateEmail(e)) this.#email = e;
@@ -185,178 +1016,637 @@ class HumanPlayer extends Player {
     deserialize(d) { super.deserialize(d); this.#email = d.email || ''; this.#username = d.username || ''; }
 }
 
+// Строковый протокол поверх сокета: сервер пишет текст, клиент отвечает строками
+class ClientConnection {
+    #socket; #lines = []; #waiting = null; #closed = false;
+    constructor(socket) {
+        this.#socket = socket; socket.setEncoding('utf8');
+        // Обрыв соединения (ECONNRESET) приходит ошибкой и в сокет, и в readline - обе ведут к отключению
+        const disconnect = () => { this.#closed = true; if (this.#waiting) this.#waiting.resolve(null); };
+        readline.createInterface({input: socket}).on('line', l => this.#receive(l)).on('error', disconnect);
+        socket.on('close', disconnect);
+        socket.on('error', disconnect);
+    }
+    get closed() { return this.#closed; }
+    send(t) { if (!this.#closed) this.#socket.write(t.endsWith('\n') ? t : t + '\n'); }
+    ask(q, signal = null) {
+        if (this.#closed) return Promise.resolve(null);
+        this.#socket.write(q);
+        if (this.#lines.length) return Promise.resolve(this.#lines.shift());
+        return new Promise((resolve, reject) => {
+            this.#waiting = {resolve: v => { this.#waiting = null; resolve(v); }};
+            if (signal) signal.addEventListener('abort', () => { this.#waiting = null; reject(new Error('Aborted')); }, {once: true});
+        });
+    }
+    // Строки, набранные не в свой ход, не должны стать следующим словом
+    flush() { this.#lines = []; }
+    close(t = '') { if (t) this.send(t); this.#closed = true; this.#socket.end(); }
+    #receive(l) { if (this.#waiting) this.#waiting.resolve(l.trim()); else this.#lines.push(l.trim()); }
+}
+
+class RemotePlayer extends HumanPlayer {
+    #connection;
+    constructor(n, e = '', u = '', connection = null) { super(n, e, u); this.#connection = connection; }
+    get connection() { return this.#connection; }
+    readLine(q, signal = null) {
+        if (!this.#connection) return Promise.resolve(null);
+        this.#connection.flush(); return this.#connection.ask(q, signal);
+    }
+    showCountdown(left) { if (this.#connection && (left <= 5 || left % 10 === 0)) this.#connection.send(tr('countdown', {left})); }
+}
+
+// TCP-сервер: принимает клиентов, авторизует их и превращает в RemotePlayer
+class GameServer {
+    // pending - клиенты, еще не прошедшие вход: им не рассылается ход игры, но при закрытии они отключаются
+    #server = null; #userManager; #connections = new Set(); #pending = new Set(); #players = []; #slots = 0; #taken; #onReady = null;
+    constructor(userManager) { this.#userManager = userManager; }
+    get port() { return this.#server ? this.#server.address().port : null; }
+    listen(port = GAME_CONFIG.SERVER_PORT, host = 'localhost') {
+        this.#server = net.createServer(s => this.#accept(new ClientConnection(s)));
+        return new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            this.#server.listen(port, host, () => resolve(this.port));
+        });
+    }
+    // taken - логины, которые уже заняты локальными игроками; timeout в секундах, 0 - без ограничения.
+    // null - игроки не собрались: истекло время или сервер закрыт
+    waitForPlayers(count, taken = [], timeout = 0) {
+        this.#slots = count; this.#taken = new Set(taken);
+        return new Promise(resolve => {
+            const timer = timeout > 0 ? setTimeout(() => { this.#onReady = null; resolve(null); }, timeout * 1000) : null;
+            this.#onReady = players => { clearTimeout(timer); resolve(players); };
+            this.#checkReady();
+        });
+    }
+    broadcast(t) { this.#connections.forEach(c => c.send(t)); }
+    close() {
+        if (this.#onReady) { this.#onReady(null); this.#onReady = null; }
+        [...this.#pending, ...this.#connections].forEach(c => c.close(tr('net.stopped')));
+        this.#pending.clear(); this.#connections.clear();
+        if (this.#server) { this.#server.close(); this.#server = null; }
+    }
+    async #accept(c) {
+        this.#pending.add(c);
+        try { await this.#login(c); } finally { this.#pending.delete(c); }
+    }
+    async #login(c) {
+        c.send(tr('net.title'));
+        for (let attempt = 0; attempt < 3 && !c.closed; attempt++) {
+            const u = await c.ask(tr('auth.login')), p = await c.ask(tr('auth.password'));
+            if (u === null || p === null || c.closed) return;
+            if (this.#players.length >= this.#slots) { c.close(tr('net.full')); return; }
+            if (this.#taken.has(u)) { c.send(tr('net.taken')); continue; }
+            const r = this.#userManager.authenticate(u, p);
+            if (!r.success) { c.send(r.message); continue; }
+            if (r.user.mustChangePassword) { c.close(tr('net.mustChange')); return; }
+            this.#taken.add(u); this.#connections.add(c);
+            this.#players.push(new RemotePlayer(u, r.user.email, u, c));
+            say(tr('net.joined', {name: u, count: this.#players.length, slots: this.#slots}));
+            c.send(tr('net.waiting'));
+            this.#checkReady(); return;
+        }
+        c.close(tr('net.tooMany'));
+    }
+    #checkReady() {
+        if (this.#onReady && this.#players.length >= this.#slots) { this.#onReady(this.#players.slice()); this.#onReady = null; }
+    }
+}
+
+// Клиент: пересылает ввод терминала на сервер и печатает его ответы
+function connectToServer(host = 'localhost', port = GAME_CONFIG.SERVER_PORT) {
+    return new Promise(resolve => {
+        const socket = net.connect(port, host);
+        socket.setEncoding('utf8');
+        socket.on('connect', () => process.stdin.pipe(socket));
+        socket.on('data', d => process.stdout.write(d));
+        socket.on('error', e => { console.error(tr('error', {message: e.message})); resolve(1); });
+        socket.on('close', () => { process.stdin.unpipe(socket); process.stdin.pause(); resolve(0); });
+    });
+}
+
 class WordGame extends Serializable {
-    #players = []; #usedWords = new Set(); #currentCategory = ''; #lastWord = ''; #isGameActive = false; #currentUser = null; #userManager;
-    constructor() { super(); this.#userManager = new UserManager(); }
+    #players = []; #usedWords = new Set(); #currentCategory = ''; #lastWord = ''; #isGameActive = false; #currentUser = null; #userManager; #dictionary; #letterRules = LetterRules.get(); #clock;
+    #difficulty = 'medium'; #history; #moves = []; #startedAt = null; #rulesets; #ruleset = Ruleset.PRESETS[0];
+    // Состояние хода: чей ход, раунд, ошибки по id игрока - сохраняется, чтобы продолжить игру с того же места
+    #turn = {index: 0, round: 1, strikes: {}}; #saves; #saveId = null; #dictionaries = new Map();
+    constructor({clock = TurnTimer.SYSTEM_CLOCK, history = new GameHistory(), userManager = new UserManager(), rulesets = new RulesetStore(), saves = new SaveStore()} = {}) {
+        super(); this.#userManager = userManager; this.#clock = clock;
+        this.#history = history; this.#rulesets = rulesets; this.#saves = saves;
+        this.#useLanguage(GAME_CONFIG.LANGUAGE);
+    }
+    // Язык слов игры: словарь (кешируется) и правила цепочки для его алфавита
+    #useLanguage(code, rules = this.#letterRules.name) {
+        const alphabet = Alphabet.get(code);
+        this.#dictionary = this.#dictionaryFor(alphabet.code);
+        this.#letterRules = LetterRules.get(rules, alphabet);
+    }
+    #dictionaryFor(code) {
+        if (!this.#dictionaries.has(code)) this.#dictionaries.set(code, new Dictionary(code));
+        return this.#dictionaries.get(code);
+    }
+    // Интерфейс переключается на язык из профиля пользователя
+    #signIn(user) {
+        this.#currentUser = user;
+        I18n.use(user.language || GAME_CONFIG.LANGUAGE);
+    }
+    #signOut() {
+        this.#userManager.logout(); this.#currentUser = null;
+        I18n.use(GAME_CONFIG.LANGUAGE);
+    }
+    // Правила цепочки с учетом направления текущего режима
+    #chainRules() { return Ruleset.letterRules(this.#ruleset, this.#letterRules); }
     static createNewGame() { return new WordGame(); }
     async start() {
-        console.clear(); console.log("ИГРА В СЛОВА-L\n" + "=".repeat(40));
-        await this.#authMenu(); await this.#mainMenu();
+        console.clear(); console.log(tr('app.title') + "\n" + "=".repeat(40));
+        const r = this.#userManager.restoreSession();
+        if (r.success) { this.#signIn(r.user); console.log(`${r.user.username} (${r.user.role})`); }
+        else await this.#authMenu();
+        await this.#mainMenu();
+    }
+    #authorize(perm) {
+        if (this.#userManager.can(perm)) return true;
+        console.log(tr('accessDenied')); return false;
     }
     async #authMenu() {
         while(true) {
-            console.log("\n=== АВТОРИЗАЦИЯ ===\n1. Войти\n2. Регистрация\n3. Выход");
-            const c = await ask("Выбор: ");
+            console.log(tr('auth.menu'));
+            const c = await ask(tr('choice'));
             if (c === '1' && await this.#login()) break;
             else if (c === '2') await this.#register();
-            else if (c === '3') { console.log("Выход"); rl.close(); process.exit(0); }
+            else if (c === '3') { console.log(tr('exit')); closeTerminal(); process.exit(0); }
         }
     }
     async #login() {
-        const u = await ask("Логин: "), p = await ask("Пароль: ");
+        const u = await ask(tr('auth.login')), p = await ask(tr('auth.password'));
         const r = this.#userManager.loginUser(u, p); console.log(r.message);
-        if (r.success) { this.#currentUser = r.user; console.log(`${u} (${r.user.role})`); return true; }
-        return false;
+        if (!r.success) return false;
+        this.#signIn(r.user);
+        if (r.user.mustChangePassword) {
+            console.log(tr('auth.mustChange'));
+            while (!(await this.#changePassword(u, p))) {
+                if ((await ask(tr('auth.retry'))).trim().toLowerCase() === tr('no')) { this.#signOut(); return false; }
+            }
+        }
+        console.log(`${u} (${r.user.role})`); return true;
+    }
+    // oldP передается, когда пароль уже введен при входе
+    async #changePassword(u, oldP = null) {
+        const o = oldP ?? await ask(tr('auth.currentPassword'));
+        const p = await ask(tr('auth.newPassword', {rules: UserManager.PASSWORD_RULES})), cp = await ask(tr('auth.repeat'));
+        if (p !== cp) { console.log(tr('auth.mismatch')); return false; }
+        const r = this.#userManager.changePassword(u, o, p); console.log(r.message);
+        return r.success;
     }
     async #register() {
-        console.log("\n=== РЕГИСТРАЦИЯ ===");
-        const u = await ask("Логин: "), p = await ask("Пароль: "), cp = await ask("Повтор: ");
-        if (p !== cp) { console.log("Пароли не совпадают"); return; }
-        const e = await ask("Email: ");
-        const r = this.#userManager.registerUser(u, p, e); console.log(r.message);
-        if (r.success) this.#currentUser = this.#userManager.loginUser(u, p).user;
+        console.log(tr('auth.register'));
+        const u = await ask(tr('auth.login')), p = await ask(tr('auth.passwordRules', {rules: UserManager.PASSWORD_RULES})), cp = await ask(tr('auth.repeat'));
+        if (p !== cp) { console.log(tr('auth.mismatch')); return; }
+        const e = await ask(tr('auth.email'));
+        const r = this.#userManager.registerUser(u, p, e, 'player', I18n.language); console.log(r.message);
+        if (r.success) this.#signIn(this.#userManager.loginUser(u, p).user);
     }
     async #mainMenu() {
+        // Пункт меню: [ключ названия, право, действие]; null - доступно всем
+        const items = {
+            '1': ['menu.newGame', PERMISSIONS.PLAY, () => this.#startNewGame()],
+            '2': ['menu.players', PERMISSIONS.MANAGE_PLAYERS, () => this.#managePlayers()],
+            '3': ['menu.reports', PERMISSIONS.VIEW_REPORTS, () => this.#showReports()],
+            '4': ['menu.users', null, () => this.#manageUsers()],
+            '5': ['menu.save', PERMISSIONS.SAVE_GAMES, () => this.saveGame()],
+            '6': ['menu.load', PERMISSIONS.LOAD_GAMES, () => this.loadGame()],
+            '7': ['menu.switchUser', null, async () => { this.#signOut(); await this.#authMenu(); }],
+            '8': ['menu.dictionaries', PERMISSIONS.VIEW_DICTIONARIES, () => this.#manageDictionary()],
+            '9': ['menu.network', PERMISSIONS.HOST_GAMES, () => this.#hostNetworkGame()],
+            '10': ['menu.password', PERMISSIONS.CHANGE_PASSWORD, () => this.#changePassword(this.#currentUser.username)],
+            '11': ['menu.deleteSave', PERMISSIONS.SAVE_GAMES, () => this.#deleteSave()],
+            '12': ['menu.rulesets', PERMISSIONS.MANAGE_RULESETS, () => this.#manageRulesets()],
+            '13': ['menu.language', null, () => this.#chooseLanguage()]
+        };
         while(true) {
-            console.log(`\n=== МЕНЮ (${this.#currentUser.username}) ===`);
-            console.log("1. Новая игра\n2. Игроки\n3. Отчеты\n4. Пользователи\n5. Сохранить\n6. Загрузить\n7. Сменить\n0. Выход");
-            const c = await ask("Выбор: ");
-            if (c === '1') await this.#startNewGame();
-            else if (c === '2') await this.#managePlayers();
-            else if (c === '3') await this.#showReports();
-            else if (c === '4') await this.#manageUsers();
-            else if (c === '5') await this.saveGame();
-            else if (c === '6') await this.loadGame();
-            else if (c === '7') { this.#currentUser = null; await this.#authMenu(); }
-            else if (c === '0') { console.log("Выход"); rl.close(); return; }
+            console.log(tr('menu.title', {user: this.#currentUser.username}));
+            console.log(Object.entries(items).map(([k, [t]]) => `${k}. ${tr(t)}`).join('\n') + "\n" + tr('menu.exit'));
+            const c = await ask(tr('choice'));
+            if (c === '0') { console.log(tr('exit')); closeTerminal(); return; }
+            const item = items[c];
+            if (item && (!item[1] || this.#authorize(item[1]))) await item[2]();
         }
     }
+    async #chooseLanguage() {
+        const langs = I18n.available();
+        console.log(tr('lang.title')); langs.forEach((l,i) => console.log(`${i+1}. ${tr(`language.${l}`)}`));
+        const lang = langs[parseInt(await ask(tr('choice'))) - 1];
+        if (!lang) return;
+        const r = this.#userManager.setLanguage(this.#currentUser.username, lang);
+        if (!r.success) { console.log(r.message); return; }
+        I18n.use(lang); this.#currentUser.language = lang;
+        console.log(tr('lang.changed', {language: tr(`language.${lang}`)}));
+    }
     async #manageUsers() {
-        if (!this.#currentUser || this.#currentUser.role !== 'admin') { console.log("Только админ"); return; }
-        console.log("\n=== ПОЛЬЗОВАТЕЛИ ===\n1. Список\n2. Статистика\n3. Удалить");
-        const c = await ask("Выбор: ");
+        const manage = this.#userManager.can(PERMISSIONS.MANAGE_USERS), stats = this.#userManager.can(PERMISSIONS.VIEW_OTHERS_STATS);
+        if (!manage && !stats) { console.log(tr('accessDenied')); return; }
+        console.log(tr('users.menu'));
+        const c = await ask(tr('choice'));
+        if (c !== '2' && !this.#authorize(PERMISSIONS.MANAGE_USERS)) return;
         if (c === '1') {
             this.#userManager.getAllUsers().forEach((u,i) => console.log(`${i+1}. ${u.username} (${u.role}) - ${u.email}`));
+        } else if (c === '2' && this.#authorize(PERMISSIONS.VIEW_OTHERS_STATS)) {
+            await this.#showLeaderboard();
+        } else if (c === '3') {
+            const u = await ask(tr('users.deletePrompt'));
+            if (u !== this.#currentUser.username) console.log(this.#userManager.deleteUser(u) ? tr('users.deleted') : tr('users.notFound'));
+            else console.log(tr('users.cantDeleteSelf'));
+        } else if (c === '4') {
+            const u = await ask(tr('auth.login')), p = await ask(tr('users.tempPassword', {rules: UserManager.PASSWORD_RULES}));
+            console.log(this.#userManager.resetPassword(u, p).message);
+        } else if (c === '5') {
+            const u = await ask(tr('auth.login')), r = await ask(tr('users.rolePrompt', {roles: Object.keys(ROLES).join('/')}));
+            if (u === this.#currentUser.username) { console.log(tr('users.cantChangeOwnRole')); return; }
+            console.log(this.#userManager.setRole(u, r.trim()).message);
+        }
+    }
+    // Словарь выбранного языка слов; язык текущей игры при этом не меняется
+    async #manageDictionary() {
+        console.log(tr('dict.menu'));
+        const alphabets = Alphabet.list();
+        console.log(tr('game.wordLanguage')); alphabets.forEach((a,i) => console.log(`${i+1}. ${tr(`language.${a.code}`)}`));
+        const alphabet = alphabets[parseInt(await ask(tr('choice'))) - 1] || this.#letterRules.alphabet;
+        const dict = this.#dictionaryFor(alphabet.code);
+        console.log(tr('game.category')); GAME_CONFIG.CATEGORIES.forEach((c,i) => console.log(`${i+1}. ${Dictionary.title(c)}`));
+        const cat = GAME_CONFIG.CATEGORIES[parseInt(await ask(tr('choice'))) - 1];
+        if (!cat) return;
+        console.log(tr('dict.actions'));
+        const c = await ask(tr('choice'));
+        if (c === '1') {
+            const words = dict.getWords(cat);
+            console.log(`${Dictionary.title(cat)} (${words.length}): ${words.join(', ') || '-'}`);
+        } else if (c === '2' || c === '3') {
+            if (!this.#authorize(PERMISSIONS.EDIT_DICTIONARIES)) return;
+            const w = await ask(tr('dict.word'));
+            const r = c === '2' ? dict.addWord(cat, w) : dict.removeWord(cat, w);
+            console.log(r.message);
+        }
+    }
+    async #manageRulesets() {
+        console.log(tr('rulesets.menu'));
+        const c = await ask(tr('choice'));
+        if (c === '1') {
+            this.#rulesets.list().forEach((r,i) => console.log(tr('rulesets.row', {
+                n: i+1, id: r.id, title: Ruleset.title(r), maxWords: r.maxWords || '∞', maxStrikes: r.maxStrikes,
+                minLength: r.minLength, scoring: r.scoring, chain: r.chain})));
         } else if (c === '2') {
-            this.#userManager.getAllUsers().forEach(u => {
-                const s = u.stats; const wr = s.gamesPlayed > 0 ? ((s.wins/s.gamesPlayed)*100).toFixed(1) : 0;
-                console.log(`${u.username}: Игр:${s.gamesPlayed} Побед:${s.wins}(${wr}%) Очков:${s.totalScore}`);
-            });
+            const num = async (q, def) => { const v = parseInt(await ask(`${q} (${def}): `)); return Number.isNaN(v) ? def : v; };
+            const id = (await ask(tr('rulesets.id'))).trim(), title = (await ask(tr('rulesets.title'))).trim() || id;
+            const maxWords = await num(tr('rulesets.maxWords'), GAME_CONFIG.MAX_WORDS_FOR_WIN);
+            const maxStrikes = await num(tr('rulesets.maxStrikes'), GAME_CONFIG.MAX_SKIPPED_TURNS);
+            const minLength = await num(tr('rulesets.minLength'), GAME_CONFIG.MIN_WORD_LENGTH);
+            const scorings = Object.keys(Ruleset.SCORING);
+            console.log(tr('rulesets.scoring')); scorings.forEach((k,i) => console.log(`${i+1}. ${tr(`scoring.${k}`)}`));
+            const scoring = scorings[parseInt(await ask(tr('choice'))) - 1] || 'standard';
+            const chain = (await ask(tr('rulesets.reverse'))).trim().toLowerCase() === tr('yes') ? 'reverse' : 'forward';
+            console.log(this.#rulesets.add({id, title, maxWords, maxStrikes, minLength, scoring, chain}).message);
         } else if (c === '3') {
-            const u = await ask("Удалить логин: ");
-            if (u !== this.#currentUser.username) console.log(this.#userManager.deleteUser(u) ? "Удален" : "Не найден");
-            else console.log("Нельзя удалить себя");
+            console.log(this.#rulesets.remove((await ask("id: ")).trim()).message);
+        }
+    }
+    async #hostNetworkGame() {
+        console.log(tr('net.menu'));
+        const port = parseInt(await ask(tr('net.port', {port: GAME_CONFIG.SERVER_PORT}))) || GAME_CONFIG.SERVER_PORT;
+        const local = (await ask(tr('net.playSelf'))).trim().toLowerCase() !== tr('no');
+        const bots = Math.max(0, parseInt(await ask(tr('net.bots'))) || 0);
+        const free = GAME_CONFIG.MAX_PLAYERS - bots - (local ? 1 : 0);
+        if (free < 1) { console.log(tr('noSeats')); return; }
+        const remote = Math.min(free, Math.max(1, parseInt(await ask(tr('net.remote', {free}))) || 1));
+        const server = new GameServer(this.#userManager);
+        try { await server.listen(port); } catch(e) { console.log(tr('error', {message: e.message})); return; }
+        console.log(tr('net.listening', {port: server.port, count: remote}));
+        // Сетевая игра не трогает локальную: игроки и незавершенная партия возвращаются после нее
+        const broadcast = t => server.broadcast(t), previous = this.serialize(), saveId = this.#saveId;
+        try {
+            const cancel = new AbortController();
+            const players = await Promise.race([
+                server.waitForPlayers(remote, local ? [this.#currentUser.username] : [], GAME_CONFIG.NETWORK_WAIT),
+                ask(tr('net.cancel'), cancel.signal).then(() => null)
+            ]);
+            cancel.abort();
+            if (!players) { console.log(tr('net.cancelled')); return; }
+            this.#players = local ? [new HumanPlayer(this.#currentUser.username, this.#currentUser.email, this.#currentUser.username)] : [];
+            this.#players.push(...players);
+            gameOutput.add(broadcast);
+            await this.#startNewGame({bots, network: true});
+        } finally {
+            gameOutput.delete(broadcast); server.close();
+            this.#restore(previous); this.#saveId = saveId;
         }
     }
-    async #startNewGame() {
-        console.log("\n=== НОВАЯ ИГРА ===");
-        console.log("Категория:"); GAME_CONFIG.CATEGORIES.forEach((c,i) => console.log(`${i+1}. ${c}`));
-        const cc = parseInt(await ask("Выбор: ")) - 1;
+    // bots - компьютеры сверх уже набранных игроков, получают выбранную сложность
+    async #startNewGame({bots = 0, network = false} = {}) {
+        if (!network && this.#isGameActive && (await ask(tr('game.unfinished'))).trim().toLowerCase() === tr('yes')) {
+            await this.#resumeGame(); return;
+        }
+        console.log(tr('game.new'));
+        const alphabets = Alphabet.list();
+        console.log(tr('game.wordLanguage')); alphabets.forEach((a,i) => console.log(`${i+1}. ${tr(`language.${a.code}`)}`));
+        const alphabet = alphabets[parseInt(await ask(tr('choice'))) - 1] || Alphabet.get(I18n.language);
+        console.log(tr('game.category')); GAME_CONFIG.CATEGORIES.forEach((c,i) => console.log(`${i+1}. ${Dictionary.title(c)}`));
+        const cc = parseInt(await ask(tr('choice'))) - 1;
         this.#currentCategory = GAME_CONFIG.CATEGORIES[cc] || GAME_CONFIG.CATEGORIES[0];
-        console.log("Сложность:"); GAME_CONFIG.DIFFICULTY_LEVELS.forEach((l,i) => console.log(`${i+1}. ${l}`));
-        const dc = parseInt(await ask("Выбор: ")) - 1;
-        const diff = ['easy','medium','hard'][dc] || 'medium';
+        console.log(tr('game.difficulty')); GAME_CONFIG.DIFFICULTY_LEVELS.forEach((l,i) => console.log(`${i+1}. ${tr(`difficulty.${l}`)}`));
+        const dc = parseInt(await ask(tr('choice'))) - 1;
+        const diff = this.#difficulty = GAME_CONFIG.DIFFICULTY_LEVELS[dc] || 'medium';
+        const rules = LetterRules.list(alphabet);
+        console.log(tr('game.rules')); rules.forEach((r,i) => console.log(`${i+1}. ${r.title}`));
+        const picked = rules[parseInt(await ask(tr('choice'))) - 1];
+        this.#useLanguage(alphabet.code, picked ? picked.name : GAME_CONFIG.LETTER_RULES);
+        const modes = this.#rulesets.list();
+        console.log(tr('game.mode')); modes.forEach((r,i) => console.log(`${i+1}. ${Ruleset.title(r)}`));
+        this.#ruleset = modes[parseInt(await ask(tr('choice'))) - 1] || this.#rulesets.get();
         if (this.#players.length === 0) {
-            const n = await ask("Ваше имя: ");
-            this.#players = [new HumanPlayer(n, this.#currentUser.email, this.#currentUser.username), new ComputerPlayer(diff)];
+            const n = await ask(tr('game.yourName'));
+            this.#players = [new HumanPlayer(n, this.#currentUser.email, this.#currentUser.username)];
         } else this.#players.forEach(p => p.resetScore());
+        for (let i = 0; i < bots; i++) this.#players.push(this.#createBot(diff));
+        while (this.#players.length < GAME_CONFIG.MIN_PLAYERS) this.#players.push(this.#createBot(diff));
+        await this.#playGame();
+    }
+    async #playGame() {
         this.#isGameActive = true; this.#usedWords.clear(); this.#lastWord = '';
-        console.log(`\nНачало! Категория: ${this.#currentCategory}, Сложность: ${diff}\n` + "=".repeat(30));
+        this.#moves = []; this.#startedAt = new Date().toISOString(); this.#saveId = null;
+        this.#turn = {index: 0, round: 1, strikes: Object.fromEntries(this.#players.map(p => [p.id, 0]))};
+        say(tr('game.start', {category: Dictionary.title(this.#currentCategory), difficulty: tr(`difficulty.${this.#difficulty}`),
+            language: tr(`language.${this.#letterRules.alphabet.code}`), rules: this.#letterRules.title, mode: Ruleset.title(this.#ruleset)}) + "\n" + "=".repeat(30));
+        await this.#gameLoop();
+    }
+    async #resumeGame() {
+        say(tr('game.resume', {category: Dictionary.title(this.#currentCategory), mode: Ruleset.title(this.#ruleset),
+            round: this.#turn.round, words: this.#usedWords.size}) + "\n" + "=".repeat(30));
         await this.#gameLoop();
     }
+    // Команда сохранения с подсказки хода; false - сохранить нельзя, ход остается за игроком
+    #saveAndQuit() {
+        if (this.#players.some(p => p instanceof RemotePlayer)) { console.log(tr('game.networkSave')); return false; }
+        if (!this.#authorize(PERMISSIONS.SAVE_GAMES)) return false;
+        const r = this.#saves.save(this.serialize(), this.#currentUser.username, this.#saveId);
+        if (!r.success) { console.log(tr('error', {message: r.message})); return false; }
+        this.#saveId = r.id;
+        console.log(tr('game.savedQuit', {id: r.id}));
+        return true;
+    }
+    // Игра только компьютеров без пауз; ходы детерминированы seed. Возвращает запись для истории
+    async simulate({category = GAME_CONFIG.CATEGORIES[0], language = GAME_CONFIG.LANGUAGE, difficulty = 'medium', seed = null, players = 2,
+        rules = GAME_CONFIG.LETTER_RULES, mode = GAME_CONFIG.RULESET} = {}) {
+        this.#currentCategory = category; this.#difficulty = difficulty; this.#useLanguage(language, rules);
+        this.#ruleset = this.#rulesets.get(mode);
+        if (!this.#ruleset) throw new Error(tr('cli.unknown', {what: 'mode', value: mode}));
+        const base = seed ?? Math.floor(Math.random() * 2 ** 32);
+        this.#players = [];
+        for (let i = 0; i < players; i++) this.#players.push(this.#createBot(difficulty, base + i));
+        await this.#playGame();
+        const games = this.#history.list();
+        return {...games[games.length - 1], seed: base};
+    }
     async #gameLoop() {
-        let playerIdx = 0, skipped = 0, round = 1;
-        while (this.#isGameActive && skipped < GAME_CONFIG.MAX_SKIPPED_TURNS) {
-            console.log(`\nРаунд ${round}\n` + "-".repeat(20));
-            const player = this.#players[playerIdx];
-            console.log(`Ход: ${player.name}`);
+        const t = this.#turn, strikes = t.strikes;
+        const rs = this.#ruleset, rules = this.#chainRules();
+        const inGame = p => (strikes[p.id] || 0) < rs.maxStrikes;
+        const local = p => p instanceof HumanPlayer && !(p instanceof RemotePlayer);
+        if (this.#players.some(local)) console.log(tr('game.saveHint', {command: GAME_CONFIG.SAVE_COMMAND}));
+        while (this.#isGameActive) {
+            const player = this.#players[t.index];
+            if (!inGame(player)) { t.index = (t.index + 1) % this.#players.length; continue; }
+            say(tr('game.round', {round: t.round}) + "\n" + "-".repeat(20));
+            say(tr('game.turn', {name: player.name}));
+            const timer = GAME_CONFIG.TURN_TIME_LIMIT > 0 ? new TurnTimer(GAME_CONFIG.TURN_TIME_LIMIT, this.#clock) : null;
             const word = await player.makeMove({
                 lastWord: this.#lastWord,
                 usedWords: this.#usedWords,
-                category: this.#currentCategory
+                category: this.#currentCategory,
+                dictionary: this.#dictionary,
+                rules,
+                minLength: rs.minLength,
+                sleep: ms => this.#clock.sleep(ms),
+                timer
             });
-            if (word && this.#validateWord(word)) {
-                console.log(`Правильно: "${word}"`);
-                const lw = word.toLowerCase();
-                this.#usedWords.add(lw); this.#lastWord = word;
-                player.addPoint(Math.min(Math.floor(word.length/2), 3));
-                skipped = 0; round++;
-                if (this.#usedWords.size >= GAME_CONFIG.MAX_WORDS_FOR_WIN) {
-                    this.#isGameActive = false; console.log("\nИгра окончена!");
-                    this.#showWinner(); this.#updateStats(); return;
+            if (word === GAME_CONFIG.SAVE_COMMAND && local(player)) {
+                if (this.#saveAndQuit()) return;
+                continue;
+            }
+            const reason = word ? this.#validateWord(word) : tr('reason.noAnswer');
+            const move = {playerId: player.id, player: player.name, word: word || '', time: new Date().toISOString(), accepted: !reason, reason, points: 0};
+            this.#moves.push(move);
+            if (!reason) {
+                say(tr('game.correct', {word}));
+                this.#usedWords.add(Dictionary.normalize(word)); this.#lastWord = word;
+                move.points = Ruleset.score(rs, word, rules.alphabet) + (timer ? timer.bonus() : 0);
+                player.addPoint(move.points);
+                t.round++;
+                if (rs.maxWords > 0 && this.#usedWords.size >= rs.maxWords) {
+                    say(tr('game.over')); this.#finishGame(this.#players.filter(inGame)); return;
                 }
             } else {
-                console.log(`"${word || '(пусто)'}" не подходит`);
-                if (++skipped >= GAME_CONFIG.MAX_SKIPPED_TURNS) {
-                    console.log("\nСлишком много ошибок!"); this.#showWinner(); this.#updateStats(); return;
+                say(tr('game.rejected', {word: word || tr('game.empty')}));
+                strikes[player.id] = (strikes[player.id] || 0) + 1;
+                say(tr('game.strikes', {name: player.name, count: strikes[player.id], max: rs.maxStrikes}));
+                if (!inGame(player)) say(tr('game.eliminated', {name: player.name}));
+                if (this.#players.filter(inGame).length <= 1) {
+                    say(tr('game.tooManyErrors')); this.#finishGame(this.#players.filter(inGame)); return;
                 }
             }
-            console.log(`\nСлов: ${this.#usedWords.size}/${GAME_CONFIG.MAX_WORDS_FOR_WIN}, Последнее: ${this.#lastWord || '-'}`);
-            this.#players.forEach(p => console.log(`   ${p.name}: ${p.score}`));
-            playerIdx = (playerIdx + 1) % this.#players.length;
-            if (player instanceof ComputerPlayer) await new Promise(r => setTimeout(r, 600));
+            const next = this.#lastWord ? rules.hint(rules.nextLetter(this.#lastWord)) : '-';
+            say(tr('game.status', {words: this.#usedWords.size, max: rs.maxWords || '∞', last: this.#lastWord || '-', next}));
+            this.#players.forEach(p => say(`   ${p.name}: ${p.score}${inGame(p) ? '' : tr('game.out')}`));
+            t.index = (t.index + 1) % this.#players.length;
+            if (player instanceof ComputerPlayer) await this.#clock.sleep(600);
         }
     }
+    // Возвращает причину отказа или пустую строку, если слово подходит
     #validateWord(w) {
-        if (!Validator.validateWord(w)) { console.log(`Минимум ${GAME_CONFIG.MIN_WORD_LENGTH} буквы`); return false; }
-        const lw = w.toLowerCase(); const llw = this.#lastWord ? this.#lastWord.toLowerCase() : '';
-        if (this.#usedWords.has(lw)) { console.log("Уже было"); return false; }
-        if (this.#lastWord && lw[0] !== llw[llw.length-1]) { console.log(`Начинается на "${llw[llw.length-1]}"`); return false; }
-        return true;
+        let reason = '';
+        const rules = this.#chainRules();
+        if (!Validator.validateWord(w, this.#ruleset.minLength)) reason = tr('reason.minLength', {min: this.#ruleset.minLength});
+        else if (!rules.alphabet.accepts(w)) reason = tr('reason.alphabet', {language: tr(`language.${rules.alphabet.code}`)});
+        else if (this.#usedWords.has(Dictionary.normalize(w))) reason = tr('reason.used');
+        else if (!rules.matches(w, this.#lastWord)) reason = tr('reason.chain', {hint: rules.hint(rules.nextLetter(this.#lastWord))});
+        else if (!this.#dictionary.has(this.#currentCategory, w)) reason = tr('reason.category', {category: Dictionary.title(this.#currentCategory)});
+        if (reason) say(reason);
+        return reason;
     }
-    #showWinner() {
-        const w = this.#players.reduce((a,b) => a.score > b.score ? a : b);
-        console.log("\n" + "=".repeat(40) + `\nПОБЕДИТЕЛЬ: ${w.name} (${w.score} очков)\n` + "=".repeat(40));
-        this.#players.forEach((p,i) => console.log(`${i+1}. ${p.name}: ${p.score}`));
+    // Победитель выбирается среди не выбывших игроков; при равенстве лучших очков - ничья (winner: null)
+    #finishGame(remaining) {
+        this.#isGameActive = false;
+        // Доигранная игра больше не нужна в сохранениях
+        if (this.#saveId) { this.#saves.remove(this.#saveId); this.#saveId = null; }
+        const winner = this.#showWinner(remaining.length > 0 ? remaining : this.#players);
+        this.#updateStats(winner);
+        this.#history.record({
+            category: this.#currentCategory, language: this.#letterRules.alphabet.code, difficulty: this.#difficulty,
+            letterRules: this.#letterRules.name, ruleset: this.#ruleset.id,
+            startedAt: this.#startedAt, finishedAt: new Date().toISOString(),
+            players: this.#players.map(p => ({
+                id: p.id, name: p.name, type: p.constructor.name, username: p.username || '',
+                difficulty: p.difficulty || '', score: p.score, eliminated: !remaining.includes(p)
+            })),
+            winner: winner ? winner.id : null, moves: this.#moves
+        });
     }
-    #updateStats() {
-        const hp = this.#players.find(p => p instanceof HumanPlayer);
-        if (hp && hp.username) {
-            const cp = this.#players.find(p => p instanceof ComputerPlayer);
-            this.#userManager.updateUserStats(hp.username, hp.score, cp ? hp.score > cp.score : true, this.#lastWord, this.#currentCategory);
-        }
+    #showWinner(candidates = this.#players) {
+        const best = Math.max(...candidates.map(p => p.score)), top = candidates.filter(p => p.score === best);
+        const w = top.length === 1 ? top[0] : null;
+        const title = w ? tr('game.winner', {name: w.name, score: w.score}) : tr('game.draw', {names: top.map(p => p.name).join(', '), score: best});
+        say("\n" + "=".repeat(40) + "\n" + title + "\n" + "=".repeat(40));
+        this.#players.forEach((p,i) => say(`${i+1}. ${p.name}: ${p.score}${candidates.includes(p) ? '' : tr('game.out')}`));
+        return w;
+    }
+    #updateStats(winner) {
+        this.#players.filter(p => p instanceof HumanPlayer && p.username).forEach(p =>
+            this.#userManager.updateUserStats(p.username, p.score, p === winner,
+                this.#moves.filter(m => m.playerId === p.id && m.accepted).map(m => m.word), this.#currentCategory));
+    }
+    #createBot(d, seed = null) {
+        const n = this.#players.filter(p => p instanceof ComputerPlayer).length;
+        return new ComputerPlayer(d, this.#dictionary, seed, n ? `${tr('bot.name')} ${n + 1}` : tr('bot.name'));
     }
     async #managePlayers() {
-        console.log("\n=== ИГРОКИ ===\n1. Добавить\n2. Удалить\n3. Список");
-        const c = await ask("Выбор: ");
+        console.log(tr('players.menu', {count: this.#players.length, max: GAME_CONFIG.MAX_PLAYERS}));
+        const c = await ask(tr('choice'));
+        if ((c === '1' || c === '2') && this.#players.length >= GAME_CONFIG.MAX_PLAYERS) { console.log(tr('noSeats')); return; }
         if (c === '1') {
-            const n = await ask("Имя: "), e = await ask("Email: ");
-            if (n.trim()) { this.#players.push(new HumanPlayer(n.trim(), e)); console.log("Добавлен"); }
-        } else if (c === '2' && this.#players.length > 0) {
+            const n = (await ask(tr('players.name'))).trim();
+            if (!n) return;
+            const u = (await ask(tr('players.login'))).trim();
+            if (!u) { this.#players.push(new HumanPlayer(n, await ask(tr('auth.email')))); console.log(tr('players.added')); return; }
+            if (this.#players.some(p => p instanceof HumanPlayer && p.username === u)) { console.log(tr('players.inGame')); return; }
+            const r = this.#userManager.authenticate(u, await ask(tr('auth.password')));
+            if (!r.success) { console.log(r.message); return; }
+            if (r.user.mustChangePassword) { console.log(tr('players.mustChange')); return; }
+            this.#players.push(new HumanPlayer(n, r.user.email, r.user.username)); console.log(tr('players.added'));
+        } else if (c === '2') {
+            console.log(tr('game.difficulty')); GAME_CONFIG.DIFFICULTY_LEVELS.forEach((l,i) => console.log(`${i+1}. ${tr(`difficulty.${l}`)}`));
+            const bot = this.#createBot(GAME_CONFIG.DIFFICULTY_LEVELS[parseInt(await ask(tr('choice'))) - 1] || 'medium');
+            this.#players.push(bot); console.log(tr('players.addedBot', {name: bot.name}));
+        } else if (c === '3' && this.#players.length > 0) {
             this.#players.forEach((p,i) => console.log(`${i+1}. ${p.name}`));
-            const idx = parseInt(await ask("Номер: ")) - 1;
-            if (idx >= 0 && idx < this.#players.length) console.log(`Удален: ${this.#players.splice(idx,1)[0].name}`);
-        } else if (c === '3') {
-            this.#players.forEach((p,i) => console.log(`${i+1}. ${p.name} - ${p.score}`));
+            const idx = parseInt(await ask(tr('players.number'))) - 1;
+            if (idx < 0 || idx >= this.#players.length) return;
+            const [removed] = this.#players.splice(idx, 1);
+            if (idx < this.#turn.index) this.#turn.index--;
+            console.log(tr('players.removed', {name: removed.name}));
+        } else if (c === '4') {
+            this.#players.forEach((p,i) => console.log(`${i+1}. ${p.name}${p instanceof ComputerPlayer ? ` [${tr(`difficulty.${p.difficulty}`)}]` : p.username ? ` [${p.username}]` : ''} - ${p.score}`));
         }
+        this.#syncTurn();
+    }
+    // После изменения списка игроков ход должен указывать на существующего игрока, а ошибки - только на участников
+    #syncTurn() {
+        const t = this.#turn;
+        if (t.index >= this.#players.length) t.index = 0;
+        t.strikes = Object.fromEntries(this.#players.map(p => [p.id, t.strikes[p.id] || 0]));
     }
     async #showReports() {
-        console.log("\n=== ОТЧЕТЫ ===\n1. Статистика игры\n2. Анализ слов\n3. Статистика пользователя");
-        const c = await ask("Выбор: ");
+        console.log(tr('reports.menu'));
+        const c = await ask(tr('choice'));
         if (c === '1') {
-            const tp = this.#players.length > 0 ? this.#players.reduce((a,b) => a.score > b.score ? a : b, this.#players[0]) : {name:'нет',score:0};
-            console.log(`Игроков: ${this.#players.length}, Слов: ${this.#usedWords.size}, Категория: ${this.#currentCategory}, Лучший: ${tp.name} (${tp.score})`);
+            const tp = this.#players.length > 0 ? this.#players.reduce((a,b) => a.score > b.score ? a : b, this.#players[0]) : {name: tr('reports.nobody'), score: 0};
+            console.log(tr('reports.game', {players: this.#players.length, words: this.#usedWords.size,
+                category: this.#currentCategory ? Dictionary.title(this.#currentCategory) : '-', best: tp.name, score: tp.score}));
         } else if (c === '2' && this.#usedWords.size > 0) {
             const words = Array.from(this.#usedWords);
             const l = words.reduce((a,b) => a.length > b.length ? a : b, words[0]);
             const s = words.reduce((a,b) => a.length < b.length ? a : b, words[0]);
-            console.log(`Всего: ${words.length}, Ср.длина: ${(words.reduce((sum,w) => sum + w.length,0)/words.length).toFixed(2)}`);
-            console.log(`Самое длинное: "${l}" (${l.length}), Самое короткое: "${s}" (${s.length})`);
+            console.log(tr('reports.words', {count: words.length, avg: (words.reduce((sum,w) => sum + w.length,0)/words.length).toFixed(2)}));
+            console.log(tr('reports.extremes', {long: l, longLength: l.length, short: s, shortLength: s.length}));
         } else if (c === '3' && this.#currentUser) {
-            const s = this.#userManager.getUserStats(this.#currentUser.username);
-            console.log(`Игр:${s.gamesPlayed} Побед:${s.wins} Очков:${s.totalScore} Лучший:${s.bestScore}`);
+            let u = this.#currentUser.username;
+            if (this.#userManager.can(PERMISSIONS.VIEW_OTHERS_STATS)) u = (await ask(tr('reports.loginPrompt', {user: u}))).trim() || u;
+            const s = this.#userManager.getUserStats(u);
+            console.log(tr('reports.userStats', {user: u, games: s.gamesPlayed, wins: s.wins, score: s.totalScore, best: s.bestScore}));
+        } else if (c === '4') await this.#showHistory();
+        else if (c === '5') await this.#showLeaderboard();
+    }
+    async #showLeaderboard() {
+        console.log(tr('board.choose')); GAME_CONFIG.CATEGORIES.forEach((c,i) => console.log(`${i+1}. ${Dictionary.title(c)}`));
+        const cat = GAME_CONFIG.CATEGORIES[parseInt(await ask(tr('choice'))) - 1] || null;
+        const sorts = Object.keys(Ratings.SORTS);
+        console.log(tr('board.sort')); sorts.forEach((k,i) => console.log(`${i+1}. ${tr(`sort.${k}`)}`));
+        const sort = sorts[parseInt(await ask(tr('choice'))) - 1] || 'rating';
+        const computed = Ratings.compute(this.#history.list(), cat);
+        const rows = this.#userManager.getAllUsers().map(u => computed.get(u.username) || Ratings.emptyRow(u.username));
+        // Без VIEW_OTHERS_STATS у чужих строк видны только место и логин
+        const all = this.#userManager.can(PERMISSIONS.VIEW_OTHERS_STATS);
+        console.log(tr('board.title', {category: cat ? Dictionary.title(cat) : tr('board.overall'), sort: tr(`sort.${sort}`)}));
+        Ratings.leaderboard(rows, sort).forEach(r => {
+            if (!all && r.username !== this.#currentUser.username) { console.log(tr('board.place', {rank: r.rank, user: r.username})); return; }
+            const wr = r.games > 0 ? ((r.wins/r.games)*100).toFixed(1) : 0;
+            console.log(tr('board.row', {rank: r.rank, user: r.username, rating: Math.round(r.rating), games: r.games, wins: r.wins, rate: wr, best: r.bestScore}));
+        });
+    }
+    async #showHistory() {
+        const all = this.#userManager.can(PERMISSIONS.VIEW_OTHERS_STATS);
+        const games = this.#history.list(all ? null : this.#currentUser.username);
+        if (games.length === 0) { console.log(tr('history.empty')); return; }
+        games.forEach((g,i) => {
+            const w = g.players.find(p => p.id === g.winner);
+            console.log(tr('history.row', {n: i+1, date: UserManager.formatDate(g.finishedAt), category: Dictionary.title(g.category),
+                difficulty: tr(`difficulty.${g.difficulty}`), players: g.players.map(p => p.name).join(', '), winner: w ? w.name : tr('history.draw'), moves: g.moves.length}));
+        });
+        const g = games[parseInt(await ask(tr('history.replayPrompt'))) - 1];
+        if (!g) return;
+        console.log(tr('history.modes'));
+        const step = (await ask(tr('choice'))) !== '2';
+        const ms = step ? 0 : parseInt(await ask(tr('history.delay')));
+        const delay = Number.isNaN(ms) ? 1000 : Math.max(0, ms);
+        await this.#replayGame(g, step, delay);
+    }
+    async #replayGame(g, step = true, delay = 1000) {
+        console.log(tr('replay.title', {category: Dictionary.title(g.category), difficulty: tr(`difficulty.${g.difficulty}`), rules: g.letterRules}));
+        const scores = new Map(g.players.map(p => [p.id, 0]));
+        for (let i = 0; i < g.moves.length; i++) {
+            const m = g.moves[i];
+            scores.set(m.playerId, scores.get(m.playerId) + m.points);
+            const t = new Date(m.time).toLocaleTimeString(I18n.locale);
+            console.log(`${i+1}/${g.moves.length} [${t}] ${m.player}: "${m.word || '-'}" ${m.accepted ? `+${m.points}` : tr('replay.rejected', {reason: m.reason})}`);
+            console.log('   ' + g.players.map(p => `${p.name}: ${scores.get(p.id)}`).join(', '));
+            if (i === g.moves.length - 1) break;
+            if (step) { if ((await ask(tr('replay.next'))).trim().toLowerCase() === 'q') return; }
+            else await new Promise(r => setTimeout(r, delay));
         }
+        const w = g.players.find(p => p.id === g.winner);
+        console.log(tr('replay.winner', {winner: w ? `${w.name} (${w.score})` : tr('history.draw')}));
     }
     async saveGame() {
-        const f = await ask("Файл (game_save.json): ") || 'game_save.json';
-        const r = FileManager.saveToFile(f, this.serialize());
-        console.log(r.success ? `Сохранено: ${f}` : `Ошибка: ${r.message}`);
+        const r = this.#saves.save(this.serialize(), this.#currentUser.username, this.#saveId);
+        if (r.success) this.#saveId = r.id;
+        console.log(r.success ? tr('saves.saved', {id: r.id}) : tr('error', {message: r.message}));
+    }
+    // Выбор из списка сохранений; all - сохранения всех пользователей
+    async #chooseSave(all = false) {
+        const saves = this.#saves.list(all ? null : this.#currentUser.username);
+        if (saves.length === 0) { console.log(tr('saves.none')); return null; }
+        saves.forEach((s,i) => console.log(`${i+1}. ${s.savedAt ? UserManager.formatDate(s.savedAt) : "-"}${all ? ` [${s.owner || '-'}]` : ''} ` +
+            `${s.category ? Dictionary.title(s.category) : '-'} (${tr(`language.${s.language}`)}), ${s.ruleset}, ` +
+            `${s.active ? tr('saves.progress', {round: s.round, words: s.words}) : tr('saves.notStarted')}: ${s.players.map(p => `${p.name} (${p.score})`).join(', ')}`));
+        return saves[parseInt(await ask(tr('saves.number'))) - 1] || null;
     }
     async loadGame() {
-        const f = await ask("Файл (game_save.json): ") || 'game_save.json';
-        const r = FileManager.loadFromFile(f);
-        if (r.success) { this.deserialize(r.data); console.log(`Загружено: ${f}`); }
-        else console.log("Файл не найден");
+        const legacy = GAME_CONFIG.LEGACY_SAVE_FILE;
+        if (FileManager.fileExists(legacy)) {
+            const r = this.#saves.importLegacy(this.#currentUser.username);
+            if (!r.foreign) console.log(r.success ? tr('saves.imported', {file: legacy, id: r.id}) : tr('error', {message: `${legacy}: ${r.message}`}));
+        }
+        const s = await this.#chooseSave();
+        if (!s) return;
+        const r = this.#saves.load(s.id, this.#currentUser.username);
+        if (!r.success) { console.log(tr('error', {message: r.message})); return; }
+        this.deserialize(r.data); this.#saveId = s.id;
+        console.log(tr('saves.loaded', {id: s.id}));
+        if (this.#isGameActive && (await ask(tr('saves.continue'))).trim().toLowerCase() !== tr('no')) await this.#resumeGame();
+    }
+    // Свои сохранения может удалить владелец, чужие - с правом удаления сохранений
+    async #deleteSave() {
+        const s = await this.#chooseSave(this.#userManager.can(PERMISSIONS.DELETE_SAVES));
+        if (!s) return;
+        const r = this.#saves.remove(s.id);
+        if (r.success && s.id === this.#saveId) this.#saveId = null;
+        console.log(r.success ? tr('saves.deleted', {id: s.id}) : tr('error', {message: r.message}));
     }
     serialize() {
         return {
@@ -365,31 +1655,169 @@ class WordGame extends Serializable {
             currentCategory: this.#currentCategory,
             lastWord: this.#lastWord,
             isGameActive: this.#isGameActive,
-            currentUser: this.#currentUser
+            language: this.#letterRules.alphabet.code,
+            letterRules: this.#letterRules.name,
+            ruleset: this.#ruleset,
+            difficulty: this.#difficulty,
+            turn: Serializable.deepClone(this.#turn),
+            moves: Serializable.deepClone(this.#moves),
+            startedAt: this.#startedAt
         };
     }
     deserialize(data) {
+        const err = Schema.validate('save', data || {});
+        if (err) throw new Error(tr('saves.invalid', {error: err}));
+        this.#restore(data);
+    }
+    // Без проверки: снимок serialize() текущей игры возвращается как есть, даже если ход в нем устарел
+    #restore(data) {
+        this.#useLanguage(data.language || GAME_CONFIG.LANGUAGE, data.letterRules);
         this.#players = data.players.map(playerData => {
-            let player = playerData.type === 'ComputerPlayer' ? new ComputerPlayer() : new HumanPlayer('');
+            let player = playerData.type === 'ComputerPlayer' ? new ComputerPlayer('medium', this.#dictionary) : new HumanPlayer('');
             player.deserialize(playerData);
             return player;
         });
-        this.#usedWords = new Set(data.usedWords || []);
+        this.#usedWords = new Set((data.usedWords || []).map(Dictionary.normalize));
         this.#currentCategory = data.currentCategory || '';
         this.#lastWord = data.lastWord || '';
         this.#isGameActive = data.isGameActive || false;
-        this.#currentUser = data.currentUser || null;
+        this.#ruleset = data.ruleset || Ruleset.PRESETS[0];
+        this.#difficulty = data.difficulty || 'medium';
+        this.#turn = Serializable.deepClone(data.turn || {index: 0, round: 1, strikes: {}});
+        this.#moves = Serializable.deepClone(data.moves || []);
+        this.#startedAt = data.startedAt || null;
     }
 }
 
-async function main() {
+// Командный режим: результат - JSON в stdout, ошибки - JSON в stderr.
+// Коды выхода: 0 - успех, 1 - ошибка выполнения, 2 - неверные аргументы
+class CommandLine {
+    static EXIT = Object.freeze({OK: 0, ERROR: 1, USAGE: 2});
+    static get USAGE() { return tr('cli.usage'); }
+    static COMMANDS = Object.freeze({
+        'user add': a => CommandLine.#userAdd(a),
+        'user delete': a => CommandLine.#userDelete(a),
+        'user list': () => CommandLine.#result(new UserManager().getAllUsers()),
+        'user search': a => a._[2] ? CommandLine.#result(new UserManager().searchUsers(a._[2])) : CommandLine.#usage(),
+        'stats export': a => CommandLine.#statsExport(a),
+        'game simulate': a => CommandLine.#gameSimulate(a),
+        'save list': a => CommandLine.#result(new SaveStore().list(a.flags.user || null)),
+        'save inspect': a => CommandLine.#saveInspect(a)
+    });
+    static parseArgs(argv) {
+        const r = {_: [], flags: {}};
+        for (let i = 0; i < argv.length; i++) {
+            const a = argv[i];
+            if (!a.startsWith('--')) { r._.push(a); continue; }
+            const [k, v] = a.slice(2).split(/=(.*)/s);
+            if (v !== undefined) r.flags[k] = v;
+            else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) r.flags[k] = argv[++i];
+            else r.flags[k] = true;
+        }
+        return r;
+    }
+    static async run(argv) {
+        const a = CommandLine.parseArgs(argv);
+        if (a.flags.connect) {
+            const [host, port] = String(a.flags.connect).split(':');
+            return connectToServer(host || 'localhost', parseInt(port) || GAME_CONFIG.SERVER_PORT);
+        }
+        if (a.flags.help) { console.log(CommandLine.USAGE); return CommandLine.EXIT.OK; }
+        const cmd = CommandLine.COMMANDS[a._.slice(0, 2).join(' ')];
+        if (!cmd) return CommandLine.#usage();
+        gameOutput.delete(consoleOutput);
+        try { return await cmd(a); }
+        catch(e) { return CommandLine.#error(e.message); }
+    }
+    static #result(data) { console.log(JSON.stringify(data, null, 2)); return CommandLine.EXIT.OK; }
+    static #error(message) { console.error(JSON.stringify({error: message})); return CommandLine.EXIT.ERROR; }
+    static #usage() { console.error(CommandLine.USAGE); return CommandLine.EXIT.USAGE; }
+    // Неверное значение флага - ошибка вызова, как и неизвестная команда
+    static #invalid(message) { console.error(JSON.stringify({error: message})); return CommandLine.EXIT.USAGE; }
+    static #userAdd(a) {
+        const u = a._[2];
+        if (!u) return CommandLine.#usage();
+        let p = a.flags.password;
+        // stdin читается только по явному флагу: иначе незакрытый pipe повесит команду
+        if (a.flags['password-stdin']) p = fs.readFileSync(0, 'utf8').split(/\r?\n/)[0];
+        if (typeof p !== 'string' || !p) return CommandLine.#usage();
+        const role = a.flags.role || 'player', language = a.flags.language || GAME_CONFIG.LANGUAGE;
+        if (!ROLES[role]) return CommandLine.#invalid(tr('cli.unknown', {what: 'role', value: role}));
+        if (!I18n.available().includes(language)) return CommandLine.#invalid(tr('cli.unknown', {what: 'language', value: language}));
+        const r = new UserManager().registerUser(u, p, a.flags.email || '', role, language);
+        return r.success ? CommandLine.#result(r.user) : CommandLine.#error(r.message);
+    }
+    static #userDelete(a) {
+        if (!a._[2]) return CommandLine.#usage();
+        return new UserManager().deleteUser(a._[2]) ? CommandLine.#result({deleted: a._[2]}) : CommandLine.#error(tr('account.notFound'));
+    }
+    static #statsExport(a) {
+        const users = new UserManager().getAllUsers().filter(u => !a.flags.user || u.username === a.flags.user);
+        if (a.flags.user && users.length === 0) return CommandLine.#error(tr('account.notFound'));
+        const games = new GameHistory().list(), overall = Ratings.compute(games);
+        const byCategory = Object.fromEntries(GAME_CONFIG.CATEGORIES.map(c => [c, Ratings.compute(games, c)]));
+        const data = {
+            exportedAt: new Date().toISOString(),
+            users: users.map(u => ({
+                username: u.username, role: u.role, stats: u.stats,
+                rating: Math.round((overall.get(u.username) || Ratings.emptyRow(u.username)).rating),
+                categoryRatings: Object.fromEntries(Object.entries(byCategory).map(([c, rows]) =>
+                    [c, Math.round((rows.get(u.username) || Ratings.emptyRow(u.username)).rating)]))
+            }))
+        };
+        if (a.flags.output) {
+            const r = FileManager.saveToFile(a.flags.output, data, 0);
+            return r.success ? CommandLine.#result({output: a.flags.output, users: data.users.length}) : CommandLine.#error(r.message);
+        }
+        return CommandLine.#result(data);
+    }
+    static async #gameSimulate(a) {
+        const f = a.flags;
+        const category = f.category || GAME_CONFIG.CATEGORIES[0], difficulty = f.difficulty || 'medium', language = f.language || GAME_CONFIG.LANGUAGE;
+        const rules = f.rules || GAME_CONFIG.LETTER_RULES, mode = f.mode || GAME_CONFIG.RULESET;
+        const players = f.players === undefined ? 2 : parseInt(f.players), seed = f.seed === undefined ? null : parseInt(f.seed);
+        if (!GAME_CONFIG.CATEGORIES.includes(category)) return CommandLine.#invalid(tr('cli.unknown', {what: 'category', value: category}));
+        if (!Alphabet.list().some(al => al.code === language)) return CommandLine.#invalid(tr('cli.unknown', {what: 'language', value: language}));
+        if (!GAME_CONFIG.DIFFICULTY_LEVELS.includes(difficulty)) return CommandLine.#invalid(tr('cli.unknown', {what: 'difficulty', value: difficulty}));
+        if (!LetterRules.list().some(r => r.name === rules)) return CommandLine.#invalid(tr('cli.unknown', {what: 'rules', value: rules}));
+        const rulesets = new RulesetStore();
+        if (!rulesets.get(mode)) return CommandLine.#invalid(tr('cli.unknown', {what: 'mode', value: mode}));
+        if (!(players >= GAME_CONFIG.MIN_PLAYERS && players <= GAME_CONFIG.MAX_PLAYERS)) return CommandLine.#invalid(tr('cli.players', {min: GAME_CONFIG.MIN_PLAYERS, max: GAME_CONFIG.MAX_PLAYERS}));
+        if (seed !== null && Number.isNaN(seed)) return CommandLine.#invalid(tr('cli.seed'));
+        if (f.verbose) gameOutput.add(t => console.error(t));
+        const instant = {...TurnTimer.SYSTEM_CLOCK, sleep: () => Promise.resolve()};
+        const game = new WordGame({clock: instant, history: new GameHistory(null), userManager: null, rulesets});
+        return CommandLine.#result(await game.simulate({category, language, difficulty, seed, players, rules, mode}));
+    }
+    static #saveInspect(a) {
+        if (!a._[2]) return CommandLine.#usage();
+        const r = Schema.load('save', a._[2]);
+        if (!r.success) return CommandLine.#error(r.missing ? tr('cli.fileNotFound', {file: a._[2]}) : r.message);
+        const d = r.data;
+        return CommandLine.#result({
+            file: a._[2], version: d.version, owner: d.owner, savedAt: d.savedAt,
+            category: d.currentCategory || '', language: d.language, difficulty: d.difficulty, letterRules: d.letterRules || GAME_CONFIG.LETTER_RULES, ruleset: d.ruleset.id,
+            isGameActive: !!d.isGameActive, lastWord: d.lastWord || '', usedWords: (d.usedWords || []).length,
+            round: d.turn.round, nextPlayer: (d.players[d.turn.index] || {}).name || '', moves: d.moves.length,
+            players: d.players.map(p => ({name: p.name, type: p.type, score: p.score, username: p.username || undefined, difficulty: p.difficulty}))
+        });
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    if (argv.length > 0) process.exit(await CommandLine.run(argv));
     try {
         const game = WordGame.createNewGame();
         await game.start();
     } catch(e) {
-        console.error('Ошибка:', e.message);
+        console.error(tr('error', {message: e.message}));
         process.exit(1);
     }
 }
 
+module.exports = {
+    GAME_CONFIG, I18n, Schema, Dictionary, Alphabet, LetterRules, Ruleset, SeededRandom, MoveStrategy, TurnTimer,
+    UserManager, SaveStore, GameHistory, Ratings, ComputerPlayer, HumanPlayer, GameServer, WordGame, CommandLine, main
+};
+
 if (require.main === module) main();
\ No newline at end of file
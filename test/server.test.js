@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const {GameServer, UserManager} = require('../app.js');
+
+// users.json и session.json пишутся в текущий каталог
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'words-server-')));
+
+// Клиент отвечает на вопросы сервера по порядку
+function client(port, answers) {
+    const socket = net.connect(port, 'localhost');
+    let text = '';
+    socket.setEncoding('utf8');
+    socket.on('data', d => {
+        text += d;
+        if (/: $/.test(d) && answers.length) socket.write(answers.shift() + '\n');
+    });
+    return {socket, output: () => text};
+}
+
+test('сетевой игрок входит и отвечает на ход', async () => {
+    const users = new UserManager();
+    assert.ok(users.registerUser('carol', 'Passw0rd1').success);
+    const server = new GameServer(users);
+    await server.listen(0);
+    try {
+        const c = client(server.port, ['carol', 'Passw0rd1', 'Москва']);
+        const [player] = await server.waitForPlayers(1, [], 5);
+        assert.strictEqual(player.username, 'carol');
+        assert.strictEqual(await player.readLine('Слово: '), 'Москва');
+        c.socket.resetAndDestroy();
+        await new Promise(r => setTimeout(r, 100));
+        assert.strictEqual(await player.readLine('Слово: '), null);
+    } finally {
+        server.close();
+    }
+});
+
+test('ожидание игроков заканчивается по таймауту', async () => {
+    const server = new GameServer(new UserManager());
+    await server.listen(0);
+    try {
+        assert.strictEqual(await server.waitForPlayers(1, [], 0.2), null);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {MoveStrategy, SeededRandom, LetterRules, Alphabet} = require('../app.js');
+
+const ctx = {
+    words: ['Абакан', 'Архангельск', 'Астана', 'Калуга', 'Казань', 'Нальчик', 'Новгород', 'Киров', 'Кемерово'],
+    usedWords: new Set(),
+    rules: LetterRules.get('standard', Alphabet.get('ru'))
+};
+const candidates = ctx.words.filter(w => ctx.rules.matches(w, 'Москва'));
+
+test('стратегия с одним seed выбирает одно и то же слово', () => {
+    for (const level of ['easy', 'medium', 'hard']) {
+        const a = MoveStrategy.create(level, new SeededRandom(42)).choose(candidates, ctx);
+        const b = MoveStrategy.create(level, new SeededRandom(42)).choose(candidates, ctx);
+        assert.strictEqual(a, b, level);
+    }
+});
+
+test('SeededRandom продолжает последовательность с сохраненного состояния', () => {
+    const r = new SeededRandom(7); r.next(); r.next();
+    const copy = new SeededRandom(7, r.state);
+    assert.strictEqual(copy.next(), r.next());
+});
+
+test('ход без ответа на последнюю букву - null', () => {
+    assert.strictEqual(MoveStrategy.create('hard', new SeededRandom(1)).choose([], ctx), null);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {TurnTimer} = require('../app.js');
+
+// Часы под управлением теста: время идет только через advance
+function fakeClock() {
+    let now = 0; const timers = new Map(); let next = 1;
+    return {
+        now: () => now,
+        setInterval: (f, ms) => { timers.set(next, {f, ms, at: now + ms}); return next++; },
+        clearInterval: id => timers.delete(id),
+        sleep: () => Promise.resolve(),
+        advance(ms) {
+            const end = now + ms;
+            for (;;) {
+                const due = [...timers.values()].filter(t => t.at <= end).sort((a, b) => a.at - b.at)[0];
+                if (!due) break;
+                now = due.at; due.at += due.ms; due.f();
+            }
+            now = end;
+        }
+    };
+}
+
+test('время хода истекает, ввод прерывается', async () => {
+    const clock = fakeClock(), timer = new TurnTimer(3, clock), ticks = [];
+    let aborted = false;
+    const run = timer.run(signal => new Promise(() => signal.addEventListener('abort', () => { aborted = true; })), left => ticks.push(left));
+    clock.advance(3000);
+    const r = await run;
+    assert.deepStrictEqual(r, {value: null, timedOut: true, remaining: 0});
+    assert.deepStrictEqual(ticks, [2, 1]);
+    assert.ok(aborted);
+    assert.strictEqual(timer.bonus(), 0);
+});
+
+test('быстрый ответ дает бонус по оставшемуся времени', async () => {
+    const clock = fakeClock(), timer = new TurnTimer(30, clock);
+    let answer;
+    const run = timer.run(() => new Promise(r => { answer = r; }));
+    clock.advance(10000); answer('слово');
+    const r = await run;
+    assert.strictEqual(r.value, 'слово');
+    assert.strictEqual(r.timedOut, false);
+    assert.strictEqual(r.remaining, 20);
+    assert.strictEqual(timer.bonus(2), 1);
+});